@@ -0,0 +1,57 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+/**
+ * This script is loaded into the debugger global of a worker
+ * (see {@EvalTargetActor}). It evaluates expressions sent from the
+ * Command Editor in the scope of the worker and sends back the result
+ * converted to a string.
+ */
+this.addEventListener("message", function(event) {
+  let packet = JSON.parse(event.data);
+  if (packet.type != "firebug-evaluate") {
+    return;
+  }
+
+  let dbg = new Debugger();
+  let dbgGlobal = dbg.addDebuggee(global);
+
+  // 'evalInGlobal' has been renamed to 'executeInGlobal'.
+  let execute = dbgGlobal.executeInGlobal || dbgGlobal.evalInGlobal;
+  let completion = execute.call(dbgGlobal, packet.expression);
+
+  dbg.removeAllDebuggees();
+
+  let result;
+  let exception = false;
+
+  if (!completion) {
+    result = "Evaluation has been terminated";
+    exception = true;
+  } else if ("throw" in completion) {
+    result = toString(completion.throw);
+    exception = true;
+  } else {
+    result = toString(completion.return);
+  }
+
+  postMessage(JSON.stringify({
+    type: "firebug-evaluate-result",
+    id: packet.id,
+    result: result,
+    exception: exception
+  }));
+});
+
+function toString(value) {
+  if (value && typeof value == "object") {
+    try {
+      return String(value.unsafeDereference());
+    } catch (err) {
+      return "[object " + value.class + "]";
+    }
+  }
+
+  return (typeof value == "string") ? JSON.stringify(value) : String(value);
+}
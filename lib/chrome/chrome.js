@@ -12,6 +12,7 @@ const { loadSheet } = require("sdk/stylesheet/utils");
 const { defer } = require("sdk/core/promise");
 const { SearchBox } = require("./searchBox.js");
 const { TargetWatcher } = require("./targetWatcher.js");
+const { ErrorCounter } = require("./errorCounter.js");
 const { TransportHooks } = require("../debug/transportHooks.js");
 const { Reps } = require("../reps/reps.js");
 const { Events } = require("../core/events.js");
@@ -50,6 +51,7 @@ const Chrome = Class(
 
     this.toolbox = toolbox;
     this.targetWatcher = new TargetWatcher({chrome: this});
+    this.errorCounter = new ErrorCounter({chrome: this});
     this.firebugMenu = new FirebugMenu({chrome: this});
     this.searchBox = new SearchBox({chrome: this});
     this.toolsMenu = new ToolsMenu({chrome: this});
@@ -96,6 +98,7 @@ const Chrome = Class(
     this.toolbox.off("select", this.onPanelSelected);
 
     this.targetWatcher.destroy();
+    this.errorCounter.destroy();
     this.firebugMenu.destroy();
     this.searchBox.destroy();
     this.toolsMenu.destroy();
@@ -131,6 +134,10 @@ const Chrome = Class(
     return this.targetWatcher.getContext();
   },
 
+  getErrorCounter: function() {
+    return this.errorCounter;
+  },
+
   // Selection
 
   select: function(object) {
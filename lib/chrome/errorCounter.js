@@ -0,0 +1,137 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+const { Trace, TraceError } = require("../core/trace.js").get(module.id);
+const { EventTarget } = require("sdk/event/target");
+const { Class } = require("sdk/core/heritage");
+const { emit } = require("sdk/event/core");
+const { ConsoleListener } = require("../console/consoleListener.js");
+
+// Categories of page errors that aren't JavaScript errors (the same
+// as the Console panel's Security category, see 'categoryForScriptError'
+// in webconsole/utils.js). CSS errors are recognized by the prefix.
+const securityCategories = ["Mixed Content Blocker", "Mixed Content Message",
+  "CSP", "Invalid HSTS Headers", "Invalid HPKP Headers",
+  "Insecure Password Field", "SSL", "CORS", "Iframe Sandbox",
+  "Tracking Protection", "Sub-resource Integrity"];
+
+/**
+ * This object counts page errors (and warnings) for the current page
+ * of the {@Toolbox}. It's created together with the {@Chrome} object,
+ * so errors are counted even if the Console panel hasn't been opened
+ * yet. Only JavaScript errors are counted (CSS and security errors
+ * are ignored). The counters are reset when the page is about to
+ * navigate.
+ *
+ * The {@Chrome} object fires "errorCount" event when the counters
+ * change (see {@StartButton}).
+ */
+const ErrorCounter = Class(
+/** @lends ErrorCounter */
+{
+  extends: EventTarget,
+
+  // Initialization
+
+  initialize: function(options) {
+    EventTarget.prototype.initialize.call(this);
+
+    Trace.sysout("errorCounter.initialize;", options);
+
+    this.chrome = options.chrome;
+    this.target = options.chrome.toolbox.target;
+
+    this.errorCount = 0;
+    this.warningCount = 0;
+    this.webConsoleClient = null;
+
+    this.onPageError = this.onPageError.bind(this);
+    this.onWillNavigate = this.onWillNavigate.bind(this);
+
+    this.listener = new ConsoleListener({toolbox: options.chrome.toolbox});
+    this.listener.on("message", this.onPageError);
+
+    this.target.on("will-navigate", this.onWillNavigate);
+
+    this.startListeners();
+  },
+
+  destroy: function() {
+    Trace.sysout("errorCounter.destroy;");
+
+    this.target.off("will-navigate", this.onWillNavigate);
+
+    this.listener.off("message", this.onPageError);
+    this.listener.destroy();
+
+    // The counter is destroyed together with the Toolbox (including
+    // the Console panel), so nobody needs page errors anymore.
+    if (this.webConsoleClient) {
+      this.webConsoleClient.stopListeners(["PageError"]);
+      this.webConsoleClient = null;
+    }
+  },
+
+  /**
+   * Page errors are sent by the back end only if a client asked for
+   * them. The Console panel does it when it's opened, which might be
+   * too late, so ask for them now.
+   */
+  startListeners: function() {
+    let client = this.target.client;
+    let consoleActor = this.target.form ? this.target.form.consoleActor : null;
+    if (!consoleActor) {
+      return;
+    }
+
+    client.attachConsole(consoleActor, ["PageError"],
+      (response, webConsoleClient) => {
+        if (response.error) {
+          TraceError.sysout("errorCounter.startListeners; ERROR " +
+            response.error, response);
+          return;
+        }
+
+        this.webConsoleClient = webConsoleClient;
+      });
+  },
+
+  // Events
+
+  onPageError: function(event) {
+    // Only page errors (e.g. exceptions thrown by the page) are counted,
+    // not logs like 'console.error()'.
+    if (event.level != "pageError" || !isJavaScriptError(event.packet)) {
+      return;
+    }
+
+    if (event.type == "error") {
+      this.errorCount++;
+    } else {
+      this.warningCount++;
+    }
+
+    emit(this.chrome, "errorCount", this);
+  },
+
+  onWillNavigate: function() {
+    Trace.sysout("errorCounter.onWillNavigate;");
+
+    this.errorCount = 0;
+    this.warningCount = 0;
+
+    emit(this.chrome, "errorCount", this);
+  }
+});
+
+// Helpers
+
+function isJavaScriptError(pageError) {
+  let category = pageError.category || "";
+  return !category.startsWith("CSS") &&
+    securityCategories.indexOf(category) == -1;
+}
+
+// Exports from this module
+exports.ErrorCounter = ErrorCounter;
@@ -14,6 +14,7 @@ const { Dom } = require("../core/dom.js");
 const { Events } = require("../core/events.js");
 const { getMostRecentBrowserWindow } = require("sdk/window/utils");
 const { Theme } = require("./theme.js");
+const { prefs } = require("sdk/simple-prefs");
 
 const { gDevTools } = Cu.import("resource:///modules/devtools/gDevTools.jsm", {});
 const { devtools } = Cu.import("resource://gre/modules/devtools/Loader.jsm", {});
@@ -34,6 +35,12 @@ const startButtonId = "firebug-start-button";
  * the Toolbox. Clicking the drop-down arrow opens a popup menu with
  * basic Firebug commands.
  *
+ * The button also displays number of errors (and optionally warnings)
+ * logged in the Console panel for the selected tab. If the count is
+ * displayed, clicking the button opens the Console panel filtered to
+ * errors (the next click closes the Toolbox as usual). The filtered
+ * Console panel can be also opened from the button menu.
+ *
  * xxxHonza: we might want to use 'view' type for the customizable widget.
  * xxxHonza: what about the default 'Wrench' developer tools menu, should
  * we somehow integrate with it? (can we get input from Shorelander?)
@@ -113,6 +120,9 @@ var StartButton =
     chrome.on("showContext", this.updateButton.bind(this));
     chrome.on("destroyContext", this.updateButton.bind(this));
 
+    // Update the error count badge (see {@ErrorCounter}).
+    chrome.on("errorCount", this.updateButton.bind(this, chrome));
+
     // Don't forget to update the start button (a toolbox has
     // been just created).
     this.updateButton(chrome);
@@ -129,11 +139,19 @@ var StartButton =
       return;
     }
 
-    if (getToolbox(doc.defaultView)) {
+    let toolbox = getToolbox(doc.defaultView);
+    if (toolbox) {
       startButton.setAttribute("active", "true");
     } else {
       startButton.removeAttribute("active");
     }
+
+    let count = toolbox ? getErrorCount(toolbox) : 0;
+    if (count && prefs.showErrorCount) {
+      startButton.setAttribute("errorcount", count);
+    } else {
+      startButton.removeAttribute("errorcount");
+    }
   },
 
   // Menu Actions
@@ -170,15 +188,34 @@ var StartButton =
       command: this.onClearConsole.bind(this)
     });
 
-    // xxxHonza: FIXME
-    /*items.push({
+    items.push({
       nol10n: true,
+      type: "checkbox",
+      checked: prefs.showErrorCount,
       tooltiptext: Locale.$STR("firebug.menu.tip.ShowErrorCount"),
       label: Locale.$STR("firebug.menu.ShowErrorCount"),
       command: this.onShowErrorCount.bind(this)
     });
 
     items.push({
+      nol10n: true,
+      type: "checkbox",
+      checked: prefs.showWarningCount,
+      disabled: !prefs.showErrorCount,
+      tooltiptext: Locale.$STR("firebug.menu.tip.ShowWarningCount"),
+      label: Locale.$STR("firebug.menu.ShowWarningCount"),
+      command: this.onShowWarningCount.bind(this)
+    });
+
+    items.push({
+      nol10n: true,
+      tooltiptext: Locale.$STR("firebug.menu.tip.ShowErrors"),
+      label: Locale.$STR("firebug.menu.ShowErrors"),
+      command: this.onShowErrors.bind(this)
+    });
+
+    // xxxHonza: FIXME
+    /*items.push({
       nol10n: true,
       tooltiptext: Locale.$STR("firebug.menu.tip.ClearActivationList"),
       label: Locale.$STR("firebug.menu.ClearActivationList"),
@@ -248,6 +285,13 @@ var StartButton =
   onToggleToolbox: function(event) {
     Trace.sysout("startButton.onToggleToolbox;");
 
+    // The error count badge is part of the button (see browser.css),
+    // so a click on the button shows the errors first.
+    if (hasErrorCount(event.view) && !isShowingErrors(event.view)) {
+      this.onShowErrors(event);
+      return;
+    }
+
     if (getToolbox(event.view)) {
       main.Firebug.destroyToolbox(event.view);
     } else {
@@ -275,7 +319,31 @@ var StartButton =
   },
 
   onShowErrorCount: function(event) {
-    // xxxHonza: TBD
+    prefs.showErrorCount = !prefs.showErrorCount;
+    updateStartButton(this, event);
+    Events.cancelEvent(event);
+  },
+
+  onShowWarningCount: function(event) {
+    prefs.showWarningCount = !prefs.showWarningCount;
+    updateStartButton(this, event);
+    Events.cancelEvent(event);
+  },
+
+  /**
+   * Open the Console panel filtered to errors.
+   */
+  onShowErrors: function(event) {
+    getToolboxWhenReady(event).then(toolbox => {
+      return toolbox.selectTool("webconsole").then(() => {
+        let chrome = main.Firebug.getChrome(toolbox);
+        let overlay = chrome.getOverlay("webconsole");
+        overlay.showErrorsOnly(prefs.showWarningCount);
+      });
+    }).then(null, err => {
+      TraceError.sysout("startButton.onShowErrors; ERROR " + err, err);
+    });
+
     Events.cancelEvent(event);
   },
 
@@ -341,6 +409,48 @@ function getToolboxWhenReady(event) {
   return deferred.promise;
 }
 
+/**
+ * Returns number of errors (and warnings if enabled) for the current
+ * page in given toolbox.
+ */
+function getErrorCount(toolbox) {
+  let chrome = main.Firebug.getChrome(toolbox);
+  let counter = chrome ? chrome.getErrorCounter() : null;
+  if (!counter) {
+    return 0;
+  }
+
+  return counter.errorCount +
+    (prefs.showWarningCount ? counter.warningCount : 0);
+}
+
+function hasErrorCount(win) {
+  let button = win.document.getElementById(startButtonId);
+  return button && button.hasAttribute("errorcount");
+}
+
+/**
+ * Returns true if the Console panel filtered to errors is displayed
+ * in the Toolbox for given browser window.
+ */
+function isShowingErrors(win) {
+  let toolbox = getToolbox(win);
+  if (!toolbox || toolbox.currentToolId != "webconsole") {
+    return false;
+  }
+
+  let chrome = main.Firebug.getChrome(toolbox);
+  let overlay = chrome ? chrome.getOverlay("webconsole") : null;
+  return overlay ? overlay.isErrorsOnly() : false;
+}
+
+function updateStartButton(startButton, event) {
+  let toolbox = getToolbox(event.view);
+  if (toolbox) {
+    startButton.updateButton(main.Firebug.getChrome(toolbox));
+  }
+}
+
 function hideStartMenu(event) {
   let doc = event.view.document;
   let button = doc.getElementById(startButtonId);
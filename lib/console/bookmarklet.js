@@ -0,0 +1,218 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Trace, TraceError } = require("../core/trace.js").get(module.id);
+
+// Some browsers (and bookmark managers) don't accept longer URLs.
+const maxUrlLength = 2000;
+
+// Keywords after which a slash starts a regular expression
+// (and not a division).
+const regExpKeywords = ["return", "typeof", "instanceof", "in", "of", "new",
+  "delete", "void", "throw", "case", "do", "else", "yield"];
+
+/**
+ * This object is responsible for converting a script into a bookmarklet.
+ * Comments are removed (so, they can't comment out the rest of the code),
+ * the code is wrapped in an IIFE (so, it doesn't leak variables and
+ * doesn't replace the page content with the result) and percent-encoded.
+ */
+var Bookmarklet =
+/** @lends Bookmarklet */
+{
+  maxUrlLength: maxUrlLength,
+
+  /**
+   * Create a bookmarklet from given script.
+   *
+   * @returns {Object} The result object has the following fields:
+   * url {String} The bookmarklet.
+   * tooLong {Boolean} True if the URL exceeds common URL length limits.
+   */
+  create: function(code) {
+    let script = this.minify(code);
+    let url = "javascript:" +
+      encodeURIComponent("(function(){\n" + script + "\n})();");
+
+    Trace.sysout("bookmarklet.create; length: " + url.length, url);
+
+    return {
+      url: url,
+      tooLong: url.length > maxUrlLength
+    };
+  },
+
+  /**
+   * Remove comments and collapse white spaces. Every sequence of white
+   * spaces (and comments) is replaced by a single new line (if there is
+   * one in the sequence) or a single space. New lines are preserved
+   * since they can be significant (ASI). String literals, template
+   * literals and regular expressions are kept intact.
+   */
+  minify: function(code) {
+    let result = "";
+    let lastToken = "";
+    let space = "";
+    let i = 0;
+
+    // Append a token. Pending white space is appended first, unless
+    // the token is at the beginning of the script.
+    let append = token => {
+      if (space && result) {
+        result += space;
+      }
+      result += token;
+      space = "";
+    };
+
+    // Remember white space between tokens. New line wins over a space.
+    let addSpace = text => {
+      space = (space == "\n" || /\n/.test(text)) ? "\n" : " ";
+    };
+
+    while (i < code.length) {
+      let ch = code[i];
+      let next = code[i + 1];
+
+      // Line comment (the new line is processed as white space).
+      if (ch == "/" && next == "/") {
+        while (i < code.length && code[i] != "\n") {
+          i++;
+        }
+        addSpace("");
+        continue;
+      }
+
+      // Block comment (treated as white space to keep tokens separated).
+      if (ch == "/" && next == "*") {
+        let end = code.indexOf("*/", i + 2);
+        end = (end == -1) ? code.length : end + 2;
+        addSpace(code.slice(i, end));
+        i = end;
+        continue;
+      }
+
+      if (/\s/.test(ch)) {
+        addSpace(ch);
+        i++;
+        continue;
+      }
+
+      // String and template literals.
+      if (ch == "'" || ch == "\"" || ch == "`") {
+        let end = findLiteralEnd(code, i, ch);
+        append(code.slice(i, end));
+        lastToken = "literal";
+        i = end;
+        continue;
+      }
+
+      // Regular expression literal.
+      if (ch == "/" && isRegExpStart(lastToken)) {
+        let end = findRegExpEnd(code, i);
+        append(code.slice(i, end));
+        lastToken = "literal";
+        i = end;
+        continue;
+      }
+
+      // Identifiers, keywords and numbers.
+      if (/[\w$]/.test(ch)) {
+        let start = i;
+        while (i < code.length && /[\w$]/.test(code[i])) {
+          i++;
+        }
+        lastToken = code.slice(start, i);
+        append(lastToken);
+        continue;
+      }
+
+      lastToken = ch;
+      append(ch);
+      i++;
+    }
+
+    return result;
+  }
+};
+
+// Helpers
+
+function findLiteralEnd(code, start, quote) {
+  let i = start + 1;
+  while (i < code.length) {
+    let ch = code[i];
+    if (ch == "\\") {
+      i += 2;
+      continue;
+    }
+
+    i++;
+
+    if (ch == quote) {
+      break;
+    }
+  }
+  return i;
+}
+
+function findRegExpEnd(code, start) {
+  let i = start + 1;
+  let inClass = false;
+
+  while (i < code.length) {
+    let ch = code[i];
+    if (ch == "\\") {
+      i += 2;
+      continue;
+    }
+
+    i++;
+
+    if (ch == "\n") {
+      break;
+    } else if (ch == "[") {
+      inClass = true;
+    } else if (ch == "]") {
+      inClass = false;
+    } else if (ch == "/" && !inClass) {
+      break;
+    }
+  }
+
+  // Flags
+  while (i < code.length && /[a-z]/i.test(code[i])) {
+    i++;
+  }
+
+  return i;
+}
+
+/**
+ * Returns true if a slash following given token starts a regular
+ * expression literal.
+ */
+function isRegExpStart(lastToken) {
+  if (!lastToken) {
+    return true;
+  }
+
+  if (lastToken == "literal" || lastToken == ")" || lastToken == "]" ||
+      lastToken == "}") {
+    return false;
+  }
+
+  if (/^[\w$]+$/.test(lastToken)) {
+    return regExpKeywords.indexOf(lastToken) != -1;
+  }
+
+  return true;
+}
+
+// Exports from this module
+exports.Bookmarklet = Bookmarklet;
@@ -0,0 +1,409 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Trace, TraceError } = require("../core/trace.js").get(module.id);
+const { Class } = require("sdk/core/heritage");
+const { all, defer } = require("sdk/core/promise");
+const { Func } = require("../reps/function.js");
+
+// Maximum number of prototypes (including the object itself)
+// used to look up properties.
+const maxPrototypeDepth = 20;
+
+const identifierRegExp = /^[a-zA-Z_$][\w$]*$/;
+
+// Property accessor with a number or a string literal, e.g. '[0]'
+// or '["name"]'. Other accessors (e.g. '[i++]') could have side effects.
+const accessorRegExp = /^\[\s*(\d+|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')\s*\]$/;
+
+// Keywords followed by a parenthesis that don't represent a call.
+const keywords = ["if", "for", "while", "switch", "catch", "function",
+  "return", "typeof", "with"];
+
+/**
+ * This object implements autocompletion for the {@CommandEditor}.
+ * Property names are collected from live objects in the page. Only
+ * the global object is evaluated on the back end. The object expression
+ * (e.g. 'document.body.firstChild' or 'items[0]') is then resolved
+ * by walking properties (including the prototype chain) fetched through
+ * {@DomCache}, so no getters are executed (except of native getters
+ * the back end knows are safe).
+ */
+const CommandAutocomplete = Class(
+/** @lends CommandAutocomplete */
+{
+  initialize: function(consoleOverlay) {
+    this.consoleOverlay = consoleOverlay;
+  },
+
+  /**
+   * Compute list of completions for given script (text before the cursor).
+   *
+   * @returns {Promise} Resolved with {prefix, names} object or null
+   * if there is nothing to complete.
+   */
+  getCompletions: function(text) {
+    let deferred = defer();
+    let expr = parseCompletion(text);
+    if (!expr) {
+      deferred.resolve(null);
+      return deferred.promise;
+    }
+
+    Trace.sysout("commandAutocomplete.getCompletions; " + expr.object +
+      " [" + expr.prefix + "]");
+
+    let path = (expr.object == "this") ? [] : parsePath(expr.object);
+
+    this.resolve(path).then(({grip, cache}) => {
+      return this.getPropertyNames(grip, cache);
+    }).then(names => {
+      deferred.resolve(names.length ? {prefix: expr.prefix, names: names} :
+        null);
+    }, err => {
+      TraceError.sysout("commandAutocomplete.getCompletions; ERROR " +
+        err, err);
+      deferred.resolve(null);
+    });
+
+    return deferred.promise;
+  },
+
+  /**
+   * Returns signature of a function that is being called at the end of
+   * given script (text before the cursor), e.g. 'getElementById(elementId)'.
+   *
+   * @returns {Promise} Resolved with the signature or null if the
+   * function isn't known.
+   */
+  getHint: function(text) {
+    let deferred = defer();
+    let expr = parseCall(text);
+    if (!expr) {
+      deferred.resolve(null);
+      return deferred.promise;
+    }
+
+    this.resolve(parsePath(expr)).then(({grip}) => {
+      let supported = grip && Func.supportsObject(grip);
+      deferred.resolve(supported ? Func.getSignature(grip) : null);
+    }, err => {
+      TraceError.sysout("commandAutocomplete.getHint; ERROR " + err, err);
+      deferred.resolve(null);
+    });
+
+    return deferred.promise;
+  },
+
+  /**
+   * Resolve given property path (e.g. ["document", "body"]) starting
+   * at the global object.
+   *
+   * @returns {Promise} Resolved with {grip, cache} object, where 'grip'
+   * is null if a property doesn't exist or its value isn't known
+   * without executing a getter.
+   */
+  resolve: function(path) {
+    let context = this.consoleOverlay.getContext();
+
+    return all([this.getGlobal(), context.getCache()]).then(([global, cache]) => {
+      let next = (grip, index) => {
+        if (!grip || index == path.length) {
+          return {grip: grip, cache: cache};
+        }
+
+        return getProperty(cache, grip, path[index], 1).then(value => {
+          return next(value, index + 1);
+        });
+      };
+
+      return next(global, 0);
+    });
+  },
+
+  /**
+   * Returns grip of the global object of the page.
+   */
+  getGlobal: function() {
+    let deferred = defer();
+    let hud = this.consoleOverlay.panel.hud;
+    if (!hud) {
+      deferred.reject(new Error("no HUD"));
+      return deferred.promise;
+    }
+
+    // Evaluating 'this' has no side effects.
+    hud.jsterm.webConsoleClient.evaluateJS("this", response => {
+      if (response.error || response.exception) {
+        deferred.reject(response.error || response.exception);
+      } else {
+        deferred.resolve(response.result);
+      }
+    });
+
+    return deferred.promise;
+  },
+
+  /**
+   * Collect names of all properties of given object grip (including
+   * properties coming from the prototype chain).
+   *
+   * @returns {Promise} Resolved with sorted list of names.
+   */
+  getPropertyNames: function(grip, cache) {
+    let deferred = defer();
+    let names = new Set();
+
+    // Primitive values don't have an actor.
+    if (!grip || !grip.actor) {
+      deferred.resolve([]);
+      return deferred.promise;
+    }
+
+    let collect = (grip, depth) => {
+      return cache.getPrototypeAndProperties(grip).then(response => {
+        for (let name of Object.keys(response.ownProperties)) {
+          if (identifierRegExp.test(name)) {
+            names.add(name);
+          }
+        }
+
+        let proto = response.prototype;
+        if (proto && proto.actor && depth < maxPrototypeDepth) {
+          return collect(proto, depth + 1);
+        }
+      });
+    };
+
+    collect(grip, 1).then(() => {
+      deferred.resolve([...names].sort());
+    }, deferred.reject);
+
+    return deferred.promise;
+  }
+});
+
+// Helpers
+
+/**
+ * Parse script before the cursor and returns the object expression
+ * that should be evaluated to get the list of properties, and the
+ * already typed part of the property name. Examples:
+ *
+ * "document.body.firstChild.ch" => {object: "document.body.firstChild",
+ *   prefix: "ch"}
+ * "foo(win" => {object: "this", prefix: "win"}
+ *
+ * Returns null if there is nothing to complete.
+ */
+function parseCompletion(text) {
+  if (isInLiteral(text)) {
+    return null;
+  }
+
+  let prefix = /[\w$]*$/.exec(text)[0];
+  let start = text.length - prefix.length;
+
+  // Numbers can't be completed.
+  if (/^\d/.test(prefix)) {
+    return null;
+  }
+
+  let before = text.substr(0, start).replace(/\s+$/, "");
+  if (before[before.length - 1] != ".") {
+    // Global variables.
+    if (!prefix) {
+      return null;
+    }
+
+    return {object: "this", prefix: prefix};
+  }
+
+  let object = getObjectExpression(before.substr(0, before.length - 1));
+  if (!object || /^\d+$/.test(object)) {
+    return null;
+  }
+
+  return {object: object, prefix: prefix};
+}
+
+/**
+ * Returns expression of the function being called at the end of
+ * given script, e.g. "document.getElementById" for
+ * "document.getElementById(". Returns null if the cursor isn't
+ * within argument list of a call.
+ */
+function parseCall(text) {
+  if (isInLiteral(text)) {
+    return null;
+  }
+
+  // Find the last open parenthesis that isn't closed yet.
+  let depth = 0;
+  for (let i = text.length - 1; i >= 0; i--) {
+    let ch = text[i];
+    if (ch == ")" || ch == "]" || ch == "}") {
+      depth++;
+    } else if (ch == "(" || ch == "[" || ch == "{") {
+      if (depth) {
+        depth--;
+        continue;
+      }
+
+      if (ch != "(") {
+        return null;
+      }
+
+      let expr = getObjectExpression(text.substr(0, i).replace(/\s+$/, ""));
+      return (expr && keywords.indexOf(expr) == -1) ? expr : null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Returns an expression at the end of given text that consists of
+ * identifiers, dots and property accessors with a number or string
+ * literal, e.g. "document.body" or "items[0].parentNode". Anything else
+ * (e.g. function calls or "items[i++]") could have side effects and so,
+ * null is returned.
+ */
+function getObjectExpression(text) {
+  let i = text.length;
+
+  while (true) {
+    // Property accessors, e.g. "[0]".
+    while (text[i - 1] == "]") {
+      let start = text.lastIndexOf("[", i - 1);
+      if (start == -1 || !accessorRegExp.test(text.substring(start, i))) {
+        return null;
+      }
+      i = start;
+    }
+
+    // Identifier
+    let end = i;
+    while (i > 0 && /[\w$]/.test(text[i - 1])) {
+      i--;
+    }
+
+    if (!identifierRegExp.test(text.substring(i, end))) {
+      return null;
+    }
+
+    if (text[i - 1] != ".") {
+      break;
+    }
+
+    i--;
+  }
+
+  // The expression must not be a member of another expression,
+  // e.g. "foo().bar" or "a[b].c".
+  if (/[\w$.)\]]/.test(text[i - 1] || "")) {
+    return null;
+  }
+
+  return text.substr(i);
+}
+
+/**
+ * Split an object expression returned by 'getObjectExpression' into
+ * property names, e.g. 'items[0]["a"].b' => ["items", "0", "a", "b"].
+ */
+function parsePath(expr) {
+  let path = [];
+  let re = /([a-zA-Z_$][\w$]*)|\[\s*(\d+|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')\s*\]/g;
+  let match;
+
+  while ((match = re.exec(expr))) {
+    let name = match[1] || match[2];
+    if (name[0] == "'") {
+      name = "\"" + name.slice(1, -1).replace(/\\'/g, "'")
+        .replace(/"/g, "\\\"") + "\"";
+    }
+    path.push(name[0] == "\"" ? JSON.parse(name) : name);
+  }
+
+  return path;
+}
+
+/**
+ * Returns value (grip) of a property. The property is looked up
+ * in the prototype chain. Resolved with null if the property doesn't
+ * exist or if it's an accessor and its value isn't known without
+ * executing the getter.
+ */
+function getProperty(cache, grip, name, depth) {
+  if (!grip.actor) {
+    let deferred = defer();
+    deferred.resolve(null);
+    return deferred.promise;
+  }
+
+  return cache.getPrototypeAndProperties(grip).then(response => {
+    let desc = response.ownProperties[name];
+    if (desc) {
+      if ("value" in desc) {
+        return desc.value;
+      }
+      return ("getterValue" in desc) ? desc.getterValue : null;
+    }
+
+    let proto = response.prototype;
+    if (proto && proto.actor && depth < maxPrototypeDepth) {
+      return getProperty(cache, proto, name, depth + 1);
+    }
+
+    return null;
+  });
+}
+
+/**
+ * Returns true if the end of given text is within a string literal
+ * or a comment.
+ */
+function isInLiteral(text) {
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    let ch = text[i];
+    if (quote) {
+      if (ch == "\\") {
+        i++;
+      } else if (ch == quote) {
+        quote = null;
+      } else if (ch == "\n" && quote != "`") {
+        quote = null;
+      }
+    } else if (ch == "'" || ch == "\"" || ch == "`") {
+      quote = ch;
+    } else if (ch == "/" && text[i + 1] == "/") {
+      let end = text.indexOf("\n", i);
+      if (end == -1) {
+        return true;
+      }
+      i = end;
+    } else if (ch == "/" && text[i + 1] == "*") {
+      let end = text.indexOf("*/", i + 2);
+      if (end == -1) {
+        return true;
+      }
+      i = end + 1;
+    }
+  }
+
+  return !!quote;
+}
+
+// Exports from this module
+exports.CommandAutocomplete = CommandAutocomplete;
+exports.parseCompletion = parseCompletion;
+exports.parseCall = parseCall;
+exports.parsePath = parsePath;
@@ -14,11 +14,24 @@ const { BaseSidePanel } = require("../chrome/baseSidePanel");
 const { Events } = require("../core/events.js");
 const { Locale } = require("../core/locale.js");
 const { Str } = require("../core/string.js");
+const { Dom } = require("../core/dom.js");
+const { Menu } = require("../chrome/menu.js");
 const { PanelToolbar } = require("../chrome/panelToolbar.js");
 const { PrettyPrint } = require("./pretty-print.js");
+const { Snippets } = require("./snippets.js");
+const { Bookmarklet } = require("./bookmarklet.js");
+const { ScriptExport } = require("./script-export.js");
+const { getMostRecentBrowserWindow } = require("sdk/window/utils");
+const { CommandHistory, logHistoryDiff } = require("./command-history.js");
+const { CommandAutocomplete } = require("./command-autocomplete.js");
+const { CommandKeyMap } = require("./command-keymap.js");
 const { Class } = require("sdk/core/heritage");
 const Clipboard = require("sdk/clipboard");
 
+const { Services } = Cu.import("resource://gre/modules/Services.jsm", {});
+const { devtools } = Cu.import("resource://gre/modules/devtools/Loader.jsm", {});
+const { Messages } = devtools["require"]("devtools/webconsole/console-output");
+
 /**
  * This object is responsible for logic related to a command editor (known
  * also as multiline command line). This editor is available in the Console
@@ -45,6 +58,17 @@ const CommandEditor = Class(
     this.onMessage = this.onMessage.bind(this);
     this.onRun = this.onRun.bind(this);
 
+    // History of executed scripts.
+    this.history = new CommandHistory();
+    this.diffEntry = null;
+
+    // Autocompletion based on live objects in the page.
+    this.autocomplete = new CommandAutocomplete(this.owner);
+
+    // Frame or worker used for evaluation (null for the top level page).
+    this.evalTarget = null;
+    this.evalTargets = [];
+
     this.toolbar = new PanelToolbar({parentNode: frame.parentNode });
     this.toolbar.createItems(this.getPanelToolbarButtons());
   },
@@ -63,6 +87,18 @@ const CommandEditor = Class(
     Cu.exportFunction(this.onMessage, this.window, {
       defineAs: "sendMessage"
     });
+
+    // Apply custom key bindings and update them when the user
+    // changes related preferences.
+    this.applyKeyMap = this.applyKeyMap.bind(this);
+    this.applyKeyMap();
+
+    CommandKeyMap.addListener(this.applyKeyMap);
+    this.window.addEventListener("unload", () => {
+      CommandKeyMap.removeListener(this.applyKeyMap);
+    }, false);
+
+    this.initSnippets();
   },
 
   onMessage: function(event) {
@@ -74,9 +110,94 @@ const CommandEditor = Class(
         break;
       case "escape":
         break;
+      case "command":
+        this.onCommand(event.command);
+        break;
+      case "autocomplete":
+        this.onAutocomplete(event.id, event.text);
+        break;
+      case "hint":
+        this.onHint(event.id, event.text);
+        break;
+      case "saveSnippet":
+        this.onSaveSnippet();
+        break;
+      case "loadSnippet":
+        this.onLoadSnippet(event.name);
+        break;
+      case "renameSnippet":
+        this.onRenameSnippet(event.name);
+        break;
+      case "deleteSnippet":
+        this.onDeleteSnippet(event.name);
+        break;
+    }
+  },
+
+  // Key Bindings
+
+  applyKeyMap: function() {
+    let preset = CommandKeyMap.getPreset();
+    let CodeMirror = this.window.CodeMirror;
+
+    // Load the preset keymap into the editor frame if necessary.
+    if (!CodeMirror.keyMap[preset]) {
+      for (let url of CommandKeyMap.getPresetScripts(preset)) {
+        try {
+          Services.scriptloader.loadSubScript(url, this.window, "UTF-8");
+        } catch (err) {
+          TraceError.sysout("commandEditor.applyKeyMap; ERROR " + url, err);
+        }
+      }
+    }
+
+    if (!CodeMirror.keyMap[preset]) {
+      preset = "default";
+    }
+
+    let bindings = CommandKeyMap.getBindings();
+    this.window.setKeyMap(preset, Cu.cloneInto(bindings, this.window));
+  },
+
+  onCommand: function(command) {
+    Trace.sysout("commandEditor.onCommand; " + command);
+
+    switch (command) {
+      case "run":
+        this.doRun();
+        break;
+      case "runSelection":
+        this.doRunSelection();
+        break;
+      case "clear":
+        this.onClear();
+        break;
+      case "prettyPrint":
+        this.onPrettyPrint();
+        break;
     }
   },
 
+  // Autocomplete
+
+  onAutocomplete: function(id, text) {
+    this.autocomplete.getCompletions(text).then(result => {
+      if (result) {
+        result.id = id;
+        this.window.showCompletions(Cu.cloneInto(result, this.window));
+      }
+    });
+  },
+
+  onHint: function(id, text) {
+    this.autocomplete.getHint(text).then(signature => {
+      if (signature) {
+        let result = {id: id, signature: signature};
+        this.window.showHint(Cu.cloneInto(result, this.window));
+      }
+    });
+  },
+
   // Toolbar
 
   getPanelToolbarButtons: function() {
@@ -115,17 +236,228 @@ const CommandEditor = Class(
         label: "commandEditor.copyAsBookmarklet.label",
         tooltiptext: "commandEditor.copyAsBookmarklet.tip",
         command: this.onCopyAsBookmarklet.bind(this)
+      }, "-", {
+        id: "firebug-commandeditor-export-userscript",
+        label: "commandEditor.exportAsUserScript.label",
+        tooltiptext: "commandEditor.exportAsUserScript.tip",
+        command: this.onExportAsUserScript.bind(this)
+      }, {
+        id: "firebug-commandeditor-export-html",
+        label: "commandEditor.exportAsHtmlPage.label",
+        tooltiptext: "commandEditor.exportAsHtmlPage.tip",
+        command: this.onExportAsHtmlPage.bind(this)
       }],
     });
 
+    buttons.push({
+      id: "firebug-commandeditor-evaltarget",
+      label: "commandEditor.evalTarget.top.label",
+      tooltiptext: "commandEditor.evalTarget.tip",
+      type: "menu",
+      items: this.getEvalTargetMenuItems.bind(this)
+    });
+
+    buttons.push({
+      id: "firebug-commandeditor-snippets",
+      label: "commandEditor.snippets.label",
+      tooltiptext: "commandEditor.snippets.tip",
+      type: "checkbox",
+      command: this.onToggleSnippets.bind(this)
+    });
+
+    buttons.push({
+      id: "firebug-commandeditor-history",
+      label: "commandEditor.history.label",
+      tooltiptext: "commandEditor.history.tip",
+      type: "menu",
+      items: this.getHistoryMenuItems.bind(this)
+    });
+
     return buttons;
   },
 
+  /**
+   * Returns menu items for the frame/worker selector. The list of
+   * targets is fetched from the back end asynchronously and so, the menu
+   * is rebuilt as soon as the current list is received.
+   */
+  getEvalTargetMenuItems: function() {
+    this.refreshEvalTargets();
+    return this.getEvalTargetItems();
+  },
+
+  getEvalTargetItems: function() {
+    let items = [{
+      label: "commandEditor.evalTarget.top.label",
+      tooltiptext: "commandEditor.evalTarget.top.tip",
+      type: "radio",
+      checked: !this.evalTarget,
+      command: this.onSelectEvalTarget.bind(this, null)
+    }];
+
+    let frames = this.evalTargets.filter(target => target.type == "frame");
+    let workers = this.evalTargets.filter(target => target.type == "worker");
+
+    if (frames.length) {
+      items.push("-");
+    }
+
+    for (let target of frames.concat(workers)) {
+      if (target === workers[0]) {
+        items.push("-");
+      }
+
+      items.push({
+        label: getEvalTargetLabel(target),
+        tooltiptext: target.url,
+        nol10n: true,
+        type: "radio",
+        checked: this.evalTarget && this.evalTarget.id == target.id,
+        command: this.onSelectEvalTarget.bind(this, target)
+      });
+    }
+
+    return items;
+  },
+
+  refreshEvalTargets: function() {
+    let front = this.owner.getEvalTargetFront();
+    front.listTargets().then(targets => {
+      let changed = JSON.stringify(targets) != JSON.stringify(this.evalTargets);
+      this.evalTargets = targets;
+
+      // The selected frame or worker might be gone (e.g. after
+      // page reload).
+      let selected = this.evalTarget;
+      if (selected && !targets.some(target => target.id == selected.id &&
+          target.url == selected.url)) {
+        this.onSelectEvalTarget(null);
+      }
+
+      // Rebuild the menu if it's opened.
+      let popup = this.getEvalTargetPopup();
+      if (changed && popup && popup.state == "open") {
+        Dom.clearNode(popup);
+        Menu.createMenuItems(popup, this.getEvalTargetItems());
+      }
+    }, err => {
+      TraceError.sysout("commandEditor.refreshEvalTargets; ERROR " + err, err);
+    });
+  },
+
+  getEvalTargetPopup: function() {
+    let button = this.getEvalTargetButton();
+    return button ? button.querySelector("menupopup") : null;
+  },
+
+  getEvalTargetButton: function() {
+    return this.toolbar.toolbar.querySelector(
+      "#firebug-commandeditor-evaltarget");
+  },
+
+  onSelectEvalTarget: function(target) {
+    Trace.sysout("commandEditor.onSelectEvalTarget;", target);
+
+    this.evalTarget = target;
+
+    let button = this.getEvalTargetButton();
+    if (button) {
+      let label = target ? getEvalTargetLabel(target).trim() :
+        Locale.$STR("commandEditor.evalTarget.top.label");
+      button.setAttribute("label", label);
+    }
+  },
+
+  /**
+   * Returns menu items for the History menu. Every executed script
+   * can be loaded back into the editor, executed again or compared
+   * with another one.
+   */
+  getHistoryMenuItems: function() {
+    let entries = this.history.getEntries();
+    if (!entries.length) {
+      return [{
+        label: "commandEditor.history.empty",
+        disabled: true
+      }];
+    }
+
+    let diffEntry = this.diffEntry;
+
+    return entries.map(entry => {
+      let items = [{
+        label: "commandEditor.history.load.label",
+        tooltiptext: "commandEditor.history.load.tip",
+        command: this.onLoadHistoryEntry.bind(this, entry)
+      }, {
+        label: "commandEditor.history.run.label",
+        tooltiptext: "commandEditor.history.run.tip",
+        command: this.onRunHistoryEntry.bind(this, entry)
+      }, "-", {
+        label: "commandEditor.history.selectForDiff.label",
+        tooltiptext: "commandEditor.history.selectForDiff.tip",
+        command: this.onSelectForDiff.bind(this, entry)
+      }];
+
+      if (diffEntry && diffEntry !== entry) {
+        items.push({
+          label: "commandEditor.history.diff.label",
+          tooltiptext: "commandEditor.history.diff.tip",
+          command: this.onDiff.bind(this, entry)
+        });
+      }
+
+      return {
+        label: getHistoryLabel(entry),
+        nol10n: true,
+        items: items
+      };
+    });
+  },
+
   doRun: function() {
     let editor = this.window.editor;
     let selection = editor.getSelection();
     let expression = selection ? selection : editor.getValue();
-    this.owner.execute(expression);
+    this.execute(expression);
+  },
+
+  /**
+   * Execute selected text or the current line if there is
+   * no selection.
+   */
+  doRunSelection: function() {
+    let editor = this.window.editor;
+    let expression = editor.getSelection() ||
+      editor.getLine(editor.getCursor().line);
+
+    if (expression.trim()) {
+      this.execute(expression);
+    }
+  },
+
+  /**
+   * Execute given script and remember it in the history together
+   * with the result summary.
+   */
+  execute: function(expression) {
+    let entry = this.history.add(expression);
+
+    this.owner.execute(expression, element => {
+      this.onExecuted(entry, element);
+    }, this.evalTarget);
+  },
+
+  onExecuted: function(entry, element) {
+    if (!element) {
+      return;
+    }
+
+    let body = element.querySelector(".message-body");
+    let result = body ? body.textContent : element.textContent;
+    let error = element.getAttribute("severity") == "error";
+
+    this.history.setResult(entry, Str.cropString(result.trim(), 50), error);
   },
 
   // Command Handlers
@@ -144,22 +476,260 @@ const CommandEditor = Class(
   },
 
   onCopyAsBookmarklet: function(event) {
-    // xxxHonza: This needs escaping, and stripNewLines is exactly the
-    // wrong thing to do when it comes to JavaScript.
-    // (see also the original implementation).
     let value = this.window.editor.getValue();
-    let expr = "javascript: " + value.replace(/[\r\n]/gm, " ");
-    Clipboard.set(expr, "text");
+    let bookmarklet = Bookmarklet.create(value);
+
+    Clipboard.set(bookmarklet.url, "text");
     Events.cancelEvent(event);
+
+    // Long bookmarklets don't work in all browsers.
+    if (bookmarklet.tooLong) {
+      let title = Locale.$STR("commandEditor.copyAsBookmarklet.label");
+      let text = Locale.$STRF("commandEditor.bookmarkletTooLong.message",
+        [bookmarklet.url.length, Bookmarklet.maxUrlLength]);
+      Services.prompt.alert(this.window, title, text);
+    }
+  },
+
+  onExportAsUserScript: function(event) {
+    Events.cancelEvent(event);
+
+    let url = this.getContextUrl();
+    let text = ScriptExport.toUserScript(this.window.editor.getValue(), url);
+    this.saveAs("script.user.js", text);
+  },
+
+  onExportAsHtmlPage: function(event) {
+    Events.cancelEvent(event);
+
+    let url = this.getContextUrl();
+    let text = ScriptExport.toHtmlPage(this.window.editor.getValue(), url);
+    this.saveAs("script.html", text);
+  },
+
+  saveAs: function(defaultName, text) {
+    let win = getMostRecentBrowserWindow();
+    ScriptExport.saveAs(win, defaultName, text).then(null, err => {
+      TraceError.sysout("commandEditor.saveAs; ERROR " + err, err);
+    });
+  },
+
+  getContextUrl: function() {
+    let context = this.owner.getContext();
+    return context ? context.url : "";
+  },
+
+  // History
+
+  onLoadHistoryEntry: function(entry) {
+    this.window.editor.setValue(entry.expression);
+  },
+
+  onRunHistoryEntry: function(entry) {
+    this.window.editor.setValue(entry.expression);
+    this.execute(entry.expression);
+  },
+
+  onSelectForDiff: function(entry) {
+    this.diffEntry = entry;
+  },
+
+  onDiff: function(entry) {
+    // The older entry is always displayed as the original.
+    let [oldEntry, newEntry] = (this.diffEntry.id < entry.id) ?
+      [this.diffEntry, entry] : [entry, this.diffEntry];
+
+    logHistoryDiff(this.owner, oldEntry, newEntry);
+  },
+
+  // Snippets
+
+  initSnippets: function() {
+    let strings = {
+      save: Locale.$STR("commandEditor.saveSnippet.label"),
+      saveTip: Locale.$STR("commandEditor.saveSnippet.tip"),
+      load: Locale.$STR("commandEditor.loadSnippet.tip"),
+      rename: Locale.$STR("commandEditor.renameSnippet.label"),
+      renameTip: Locale.$STR("commandEditor.renameSnippet.tip"),
+      remove: Locale.$STR("commandEditor.deleteSnippet.label"),
+      removeTip: Locale.$STR("commandEditor.deleteSnippet.tip"),
+      empty: Locale.$STR("commandEditor.snippets.empty")
+    };
+
+    this.window.initSnippets(Cu.cloneInto(strings, this.window));
+  },
+
+  /**
+   * Show or hide the side list with saved snippets. The list is
+   * rendered in the editor frame.
+   */
+  onToggleSnippets: function(event) {
+    let visible = event.target.checked;
+
+    Trace.sysout("commandEditor.onToggleSnippets; " + visible);
+
+    if (visible) {
+      this.refreshSnippets();
+    }
+
+    this.window.toggleSnippets(visible);
+  },
+
+  refreshSnippets: function() {
+    let names = Snippets.getSnippets().map(snippet => snippet.name);
+    this.window.showSnippets(Cu.cloneInto(names, this.window));
+  },
+
+  onSaveSnippet: function() {
+    let value = this.window.editor.getValue();
+    let name = this.promptSnippetName("commandEditor.saveSnippet.prompt", "");
+    if (!name) {
+      return;
+    }
+
+    let title = Locale.$STR("commandEditor.snippets.label");
+    let text = Locale.$STRF("commandEditor.overwriteSnippet.prompt", [name]);
+    if (Snippets.getSnippet(name) &&
+        !Services.prompt.confirm(this.window, title, text)) {
+      return;
+    }
+
+    Snippets.save(name, value);
+    this.refreshSnippets();
+  },
+
+  onLoadSnippet: function(name) {
+    let snippet = Snippets.getSnippet(name);
+    if (snippet) {
+      this.window.editor.setValue(snippet.code);
+    }
+  },
+
+  onRenameSnippet: function(name) {
+    let newName = this.promptSnippetName("commandEditor.renameSnippet.prompt",
+      name);
+
+    if (!newName || newName == name) {
+      return;
+    }
+
+    if (!Snippets.rename(name, newName)) {
+      let title = Locale.$STR("commandEditor.snippets.label");
+      let text = Locale.$STRF("commandEditor.snippetExists.message", [newName]);
+      Services.prompt.alert(this.window, title, text);
+      return;
+    }
+
+    this.refreshSnippets();
+  },
+
+  onDeleteSnippet: function(name) {
+    let title = Locale.$STR("commandEditor.snippets.label");
+    let text = Locale.$STRF("commandEditor.deleteSnippet.prompt", [name]);
+    if (Services.prompt.confirm(this.window, title, text)) {
+      Snippets.remove(name);
+      this.refreshSnippets();
+    }
+  },
+
+  promptSnippetName: function(text, defaultName) {
+    let value = {value: defaultName};
+    let result = Services.prompt.prompt(this.window,
+      Locale.$STR("commandEditor.snippets.label"), Locale.$STR(text),
+      value, null, {value: false});
+
+    return result ? value.value.trim() : null;
   },
 
   onPrettyPrint: function() {
     let value = this.window.editor.getValue();
     PrettyPrint.run(value).then(value => {
       this.window.editor.setValue(value);
+    }, error => {
+      this.onPrettyPrintError(error);
     });
   },
+
+  /**
+   * Pretty printing failed (typically because of a syntax error).
+   * Log the error into the Console panel and highlight the line
+   * in the editor.
+   */
+  onPrettyPrintError: function(error) {
+    let hud = this.owner.panel.hud;
+    if (!hud) {
+      TraceError.sysout("commandEditor.onPrettyPrintError; ERROR no HUD!");
+      return;
+    }
+
+    let text = error.message;
+    if (error.line) {
+      text = Locale.$STRF("commandEditor.prettyPrint.error",
+        [error.message, error.line, error.column]);
+    }
+
+    let message = new Messages.Simple(text, {
+      category: "js",
+      severity: "error",
+      timestamp: Date.now(),
+      linkCallback: error.line ? () => this.highlightLine(error) : null
+    });
+
+    hud.ui.output.addMessage(message);
+
+    if (error.line) {
+      this.highlightLine(error);
+    }
+  },
+
+  highlightLine: function({line, column}) {
+    this.window.highlightErrorLine(line, column);
+  },
 });
 
+// Helpers
+
+/**
+ * Returns label for an history entry menu item, e.g.:
+ * "10:15:32 var a = 10; -> 10"
+ */
+function getHistoryLabel(entry) {
+  let time = new Date(entry.time).toLocaleTimeString();
+  let script = Str.cropString(entry.expression.trim().split(/\r?\n/)[0], 40);
+  let label = time + " " + script;
+
+  if (entry.result !== null) {
+    let result = entry.error ?
+      Locale.$STRF("commandEditor.history.error", [entry.result]) :
+      entry.result;
+    label += " -> " + result;
+  }
+
+  return label;
+}
+
+/**
+ * Returns label for a frame or worker menu item. Nested frames
+ * are indented.
+ */
+function getEvalTargetLabel(target) {
+  let url = Str.cropString(target.url, 80);
+  let label;
+
+  if (target.type == "worker") {
+    label = Locale.$STRF("commandEditor.evalTarget.worker", [url]);
+  } else if (target.name) {
+    label = target.name + " - " + url;
+  } else {
+    label = url;
+  }
+
+  if (target.sandboxed) {
+    label = Locale.$STRF("commandEditor.evalTarget.sandboxed", [label]);
+  }
+
+  return new Array(target.depth + 1).join("  ") + label;
+}
+
 // Exports from this module
 exports.CommandEditor = CommandEditor;
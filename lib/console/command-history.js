@@ -0,0 +1,209 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Cu } = require("chrome");
+const { TraceError } = require("../core/trace.js").get(module.id);
+const { Domplate } = require("../core/domplate.js");
+const { Rep } = require("../reps/rep.js");
+const { Dom } = require("../core/dom.js");
+
+const { devtools } = Cu.import("resource://gre/modules/devtools/Loader.jsm", {});
+const { Messages } = devtools["require"]("devtools/webconsole/console-output");
+
+const Heritage = require("sdk/core/heritage");
+const { Class } = Heritage;
+const Simple = Messages.Simple;
+
+// Domplate
+const { domplate, DIV, SPAN, FOR } = Domplate;
+
+// Maximum number of remembered entries.
+const maxEntries = 50;
+
+/**
+ * This object represents a history of scripts executed from the
+ * {@CommandEditor}. Every entry is an object with the following fields:
+ *
+ * id {Number} Unique ID of the entry.
+ * expression {String} The executed script.
+ * time {Number} Time of the execution.
+ * result {String} Summary of the result (or the exception).
+ * error {Boolean} True if the script threw an exception.
+ */
+const CommandHistory = Class(
+/** @lends CommandHistory */
+{
+  initialize: function() {
+    this.entries = [];
+    this.counter = 0;
+  },
+
+  /**
+   * Create new entry for executed script. The result is set as soon
+   * as it's available (see setResult).
+   */
+  add: function(expression) {
+    let entry = {
+      id: ++this.counter,
+      expression: expression,
+      time: Date.now(),
+      result: null,
+      error: false
+    };
+
+    this.entries.push(entry);
+
+    if (this.entries.length > maxEntries) {
+      this.entries.shift();
+    }
+
+    return entry;
+  },
+
+  setResult: function(entry, result, error) {
+    entry.result = result;
+    entry.error = !!error;
+  },
+
+  /**
+   * Returns all entries, the most recent first.
+   */
+  getEntries: function() {
+    return this.entries.slice().reverse();
+  }
+});
+
+/**
+ * Log diff of two history entries into the Console panel.
+ *
+ * @param {@ConsoleOverlay} consoleOverlay Console panel overlay.
+ * @param {Object} oldEntry The original history entry.
+ * @param {Object} newEntry The changed history entry.
+ */
+function logHistoryDiff(consoleOverlay, oldEntry, newEntry) {
+  let hud = consoleOverlay.panel.hud;
+  if (!hud) {
+    TraceError.sysout("commandHistory.logHistoryDiff; ERROR no HUD!");
+    return;
+  }
+
+  let lines = diffLines(oldEntry.expression, newEntry.expression);
+  hud.ui.output.addMessage(new HistoryDiffMessage(lines));
+}
+
+/**
+ * This object represents Console message displaying diff of two
+ * scripts executed from the Command Editor.
+ */
+function HistoryDiffMessage(lines) {
+  this.lines = lines;
+
+  let options = {category: "output", severity: "log"};
+  Simple.call(this, "", options);
+}
+
+HistoryDiffMessage.prototype = Heritage.extend(Simple.prototype,
+/** @lends HistoryDiffMessage */
+{
+  render: function() {
+    Simple.prototype.render.apply(this, arguments);
+
+    let messageBody = this.element.querySelector(".message-body");
+    Dom.clearNode(messageBody);
+
+    HistoryDiff.tag.append({object: this.lines}, messageBody);
+
+    return this;
+  }
+});
+
+/**
+ * @rep Template for diff of two scripts. Every line is marked
+ * as added, removed or unchanged.
+ */
+var HistoryDiff = domplate(Rep,
+/** @lends HistoryDiff */
+{
+  className: "historyDiff",
+
+  tag:
+    DIV({"class": "historyDiff devtools-monospace", _repObject: "$object"},
+      FOR("line", "$object",
+        DIV({"class": "historyDiffLine $line.type"},
+          SPAN({"class": "historyDiffPrefix"}, "$line|getPrefix"),
+          SPAN({"class": "historyDiffText"}, "$line.text")
+        )
+      )
+    ),
+
+  getPrefix: function(line) {
+    switch (line.type) {
+      case "added":
+        return "+ ";
+      case "removed":
+        return "- ";
+    }
+    return "  ";
+  }
+});
+
+// Helpers
+
+/**
+ * Compute line based diff of two scripts. Returns list of
+ * {type, text} objects where the type is one of "same", "removed"
+ * or "added".
+ */
+function diffLines(oldText, newText) {
+  let a = oldText.split(/\r?\n/);
+  let b = newText.split(/\r?\n/);
+
+  // Length of the longest common subsequence for all suffixes.
+  let lcs = [];
+  for (let i = a.length; i >= 0; i--) {
+    lcs[i] = [];
+    for (let j = b.length; j >= 0; j--) {
+      if (i == a.length || j == b.length) {
+        lcs[i][j] = 0;
+      } else if (a[i] == b[j]) {
+        lcs[i][j] = lcs[i + 1][j + 1] + 1;
+      } else {
+        lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+  }
+
+  let result = [];
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] == b[j]) {
+      result.push({type: "same", text: a[i]});
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({type: "removed", text: a[i++]});
+    } else {
+      result.push({type: "added", text: b[j++]});
+    }
+  }
+
+  while (i < a.length) {
+    result.push({type: "removed", text: a[i++]});
+  }
+
+  while (j < b.length) {
+    result.push({type: "added", text: b[j++]});
+  }
+
+  return result;
+}
+
+// Exports from this module
+exports.CommandHistory = CommandHistory;
+exports.diffLines = diffLines;
+exports.logHistoryDiff = logHistoryDiff;
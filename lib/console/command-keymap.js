@@ -0,0 +1,189 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const self = require("sdk/self");
+
+const { Trace, TraceError } = require("../core/trace.js").get(module.id);
+const { prefs } = require("sdk/simple-prefs");
+const simplePrefs = require("sdk/simple-prefs");
+
+// Name of the preference with selected preset.
+const presetPref = "commandEditorKeyMap";
+
+/**
+ * List of Command Editor commands that can be bound to a key.
+ * The value of the preference is a comma separated list of keys
+ * using CodeMirror key names, e.g. "Ctrl-Enter, Cmd-Enter".
+ */
+const commands = [{
+  name: "run",
+  pref: "commandEditorKeyRun",
+  label: "commandEditor.keys.run"
+}, {
+  name: "runSelection",
+  pref: "commandEditorKeyRunSelection",
+  label: "commandEditor.keys.runSelection"
+}, {
+  name: "clear",
+  pref: "commandEditorKeyClear",
+  label: "commandEditor.keys.clear"
+}, {
+  name: "prettyPrint",
+  pref: "commandEditorKeyPrettyPrint",
+  label: "commandEditor.keys.prettyPrint"
+}, {
+  name: "toggleComment",
+  pref: "commandEditorKeyToggleComment",
+  label: "commandEditor.keys.toggleComment"
+}];
+
+// CodeMirror keymaps available as presets. Vim and Emacs keymaps
+// aren't part of the CodeMirror build used by the Command Editor
+// (data/codemirror-compressed.js), so they are loaded on demand.
+// The scripts come from the same CodeMirror version (3.22), the Vim
+// keymap also needs the search cursor add-on.
+const presets = {
+  "default": [],
+  "vim": [
+    "codemirror-keymap/searchcursor.js",
+    "codemirror-keymap/vim.js"
+  ],
+  "emacs": [
+    "codemirror-keymap/emacs.js"
+  ]
+};
+
+// Modifiers in the order expected by CodeMirror.
+const modifiers = ["Shift", "Cmd", "Ctrl", "Alt"];
+
+const modifierAliases = {
+  "shift": "Shift",
+  "cmd": "Cmd",
+  "meta": "Cmd",
+  "ctrl": "Ctrl",
+  "control": "Ctrl",
+  "alt": "Alt",
+  "option": "Alt"
+};
+
+/**
+ * This object is responsible for key bindings used in the
+ * {@CommandEditor}. Bindings and the preset keymap are stored in
+ * preferences, so they can be customized by the user (see also
+ * {@OptionsOverlay}).
+ */
+var CommandKeyMap =
+/** @lends CommandKeyMap */
+{
+  commands: commands,
+  presetPref: presetPref,
+
+  getPresets: function() {
+    return Object.keys(presets);
+  },
+
+  /**
+   * Returns name of the selected preset keymap.
+   */
+  getPreset: function() {
+    let preset = prefs[presetPref];
+    return presets.hasOwnProperty(preset) ? preset : "default";
+  },
+
+  /**
+   * Returns list of URLs of scripts that define given preset keymap.
+   * The list is empty if the keymap is built-in.
+   */
+  getPresetScripts: function(preset) {
+    return (presets[preset] || []).map(path => self.data.url(path));
+  },
+
+  /**
+   * Returns map of all key bindings: {key: command}.
+   */
+  getBindings: function() {
+    let bindings = {};
+
+    for (let command of commands) {
+      for (let key of parseKeys(prefs[command.pref])) {
+        bindings[key] = command.name;
+      }
+    }
+
+    Trace.sysout("commandKeyMap.getBindings;", bindings);
+
+    return bindings;
+  },
+
+  /**
+   * Register a listener for changes of any key binding preference.
+   */
+  addListener: function(listener) {
+    simplePrefs.on(presetPref, listener);
+    for (let command of commands) {
+      simplePrefs.on(command.pref, listener);
+    }
+  },
+
+  removeListener: function(listener) {
+    simplePrefs.removeListener(presetPref, listener);
+    for (let command of commands) {
+      simplePrefs.removeListener(command.pref, listener);
+    }
+  }
+};
+
+// Helpers
+
+/**
+ * Parse a comma separated list of keys.
+ */
+function parseKeys(value) {
+  return (value || "").split(",")
+    .map(key => normalizeKey(key))
+    .filter(key => !!key);
+}
+
+/**
+ * Convert given key into the form used by CodeMirror keymaps.
+ * CodeMirror expects modifiers in fixed order, e.g. "Ctrl-Shift-enter"
+ * is converted to "Shift-Ctrl-Enter".
+ */
+function normalizeKey(key) {
+  let parts = key.trim().split(/\s*-\s*(?=.)/);
+  let name = parts.pop();
+  if (!name) {
+    return "";
+  }
+
+  let used = new Set();
+  for (let part of parts) {
+    let modifier = modifierAliases[part.toLowerCase()];
+    if (!modifier) {
+      TraceError.sysout("commandKeyMap.normalizeKey; ERROR unknown " +
+        "modifier: " + part + " in " + key);
+      return "";
+    }
+    used.add(modifier);
+  }
+
+  // Single characters are upper case in CodeMirror (e.g. "Ctrl-L"),
+  // named keys are capitalized (e.g. "Enter").
+  name = name.length == 1 ? name.toUpperCase() :
+    name.charAt(0).toUpperCase() + name.substr(1);
+
+  let result = modifiers.filter(modifier => used.has(modifier));
+  result.push(name);
+
+  return result.join("-");
+}
+
+// Exports from this module
+exports.CommandKeyMap = CommandKeyMap;
+exports.normalizeKey = normalizeKey;
+exports.parseKeys = parseKeys;
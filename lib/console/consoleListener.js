@@ -7,13 +7,62 @@ const self = require("sdk/self");
 const { Cu, Ci } = require("chrome");
 const { Trace, TraceError } = require("../core/trace.js").get(module.id);
 const { EventTarget } = require("sdk/event/target");
+const { emit } = require("sdk/event/core");
 const { Class } = require("sdk/core/heritage");
 
+// Page errors flags (see nsIScriptError)
+const warningFlag = 0x1;
+
+/**
+ * Map of console API methods (levels) to types of events fired by
+ * {@ConsoleListener}.
+ */
+const eventTypes = {
+  "log": "log",
+  "info": "log",
+  "debug": "log",
+  "warn": "log",
+  "dir": "log",
+  "dirxml": "log",
+  "error": "error",
+  "exception": "error",
+  "assert": "error",
+  "time": "time",
+  "timeEnd": "time",
+  "count": "count",
+  "group": "group",
+  "groupCollapsed": "group",
+  "groupEnd": "group",
+  "trace": "trace",
+  "table": "table"
+};
+
 /**
- * TODO: description
+ * This object listens to console API calls (and page errors) coming
+ * from the back end (RDP client side) and fires typed events, so other
+ * modules can be notified about logs without scraping the Console
+ * panel output.
+ *
+ * Fired events: "log", "error", "time", "count", "group", "trace"
+ * and "table". Every event is also fired as "message" for listeners
+ * interested in all logs. Listeners get an object with the following
+ * fields:
+ *
+ * type {String} Type of the event (e.g. "log").
+ * level {String} Console API method (e.g. "info", "timeEnd"
+ * or "groupCollapsed"). Set to "pageError" for page errors.
+ * arguments {Array} Grips of the arguments passed to the method.
+ * timeStamp {Number} Time of the call.
+ * filename {String} Location of the call.
+ * lineNumber {Number} Line of the call.
+ * packet {Object} The original message packet.
  *
- * xxxHonza: testing console API listener (RDP client side)
- * Explore webconsole.js to learn
+ * Some types have additional fields:
+ * time: timer {Object} {name, started} or {name, duration}.
+ * count: counter {Object} {label, count}.
+ * group: groupName {String}.
+ * trace: stacktrace {Array}.
+ * error: errorMessage {String} (page errors only).
  */
 const ConsoleListener = Class(
 /** @lends ConsoleListener */
@@ -24,19 +73,103 @@ const ConsoleListener = Class(
   initialize: function(options) {
     Trace.sysout("consoleListener.initialize", options);
 
-    this.client = options.toolbox.target.client;
+    this.onConsoleAPICall = this.onConsoleAPICall.bind(this);
+    this.onPageError = this.onPageError.bind(this);
+
+    let target = options.toolbox.target;
+    this.consoleActor = target.form ? target.form.consoleActor : null;
+
+    this.client = target.client;
     this.client.addListener("consoleAPICall", this.onConsoleAPICall);
+    this.client.addListener("pageError", this.onPageError);
   },
 
   destroy: function() {
     Trace.sysout("consoleListener.destroy", arguments);
 
     this.client.removeListener("consoleAPICall", this.onConsoleAPICall);
+    this.client.removeListener("pageError", this.onPageError);
   },
 
-  onConsoleAPICall: function (aType, aPacket) {
-    Trace.sysout("consoleListener.onConsoleAPICall; " + aType, aPacket);
+  // Packet Handlers
+
+  onConsoleAPICall: function(type, packet) {
+    Trace.sysout("consoleListener.onConsoleAPICall; " + type, packet);
+
+    if (!this.isOwnPacket(packet)) {
+      return;
+    }
+
+    let message = packet.message;
+    let eventType = eventTypes[message.level];
+    if (!eventType) {
+      return;
+    }
+
+    let event = {
+      type: eventType,
+      level: message.level,
+      arguments: message.arguments || [],
+      timeStamp: message.timeStamp,
+      filename: message.filename,
+      lineNumber: message.lineNumber,
+      packet: message
+    };
+
+    switch (eventType) {
+    case "time":
+      event.timer = message.timer;
+      break;
+    case "count":
+      event.counter = message.counter;
+      break;
+    case "group":
+      event.groupName = message.groupName;
+      break;
+    case "trace":
+      event.stacktrace = message.stacktrace;
+      break;
+    }
+
+    this.fire(event);
   },
+
+  onPageError: function(type, packet) {
+    Trace.sysout("consoleListener.onPageError; " + type, packet);
+
+    if (!this.isOwnPacket(packet)) {
+      return;
+    }
+
+    let pageError = packet.pageError;
+    let warning = pageError.warning || (pageError.flags & warningFlag);
+
+    this.fire({
+      type: warning ? "log" : "error",
+      level: "pageError",
+      arguments: [],
+      timeStamp: pageError.timeStamp,
+      filename: pageError.sourceName,
+      lineNumber: pageError.lineNumber,
+      errorMessage: pageError.errorMessage,
+      packet: pageError
+    });
+  },
+
+  // Helpers
+
+  fire: function(event) {
+    emit(this, event.type, event);
+    emit(this, "message", event);
+  },
+
+  /**
+   * The client can be shared (e.g. when debugging a remote device),
+   * so ignore packets coming from other console actors.
+   */
+  isOwnPacket: function(packet) {
+    return !this.consoleActor || packet.from == this.consoleActor;
+  }
 });
 
 // Exports from this module
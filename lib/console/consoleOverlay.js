@@ -21,11 +21,16 @@ const { BaseOverlay } = require("../chrome/baseOverlay.js");
 const { Theme } = require("../chrome/theme.js");
 const { Menu } = require("../chrome/menu.js");
 const { Win } = require("../core/window.js");
-const { logPerformanceTiming } = require("./performance-timing.js");
+const { Locale } = require("../core/locale.js");
+const { prefs } = require("sdk/simple-prefs");
+const { logPerformanceTiming, logResourceTiming, isResourceTimingList } = require("./performance-timing.js");
 const { ToolbarButton } = require("../chrome/panelToolbar.js");
 const { ToggleSideBarButton } = require("../chrome/toggleSideBarButton.js");
 const { RemoteLoggingFilter } = require("./remote/logging-filter.js");
+const { isServerMessage } = require("./remote/server-log-message.js");
 const { CommandController } = require("./command-controller.js");
+const { EvalTargetFront } = require("./eval-target-front.js");
+const { PlaceholderMessage } = require("./placeholder-message.js");
 
 // Side panels
 const { DomSidePanel } = require("../dom/domSidePanel.js");
@@ -40,6 +45,11 @@ const { devtools } = Cu.import("resource://gre/modules/devtools/Loader.jsm", {})
 const { Messages, Widgets } = devtools["require"]("devtools/webconsole/console-output");
 
 const XHTML_NS = "http://www.w3.org/1999/xhtml";
+
+// Console filters (see {@WebConsoleFrame.filterPrefs}) that are left
+// enabled when the Console panel is filtered to errors.
+const errorFilters = ["exception", "error"];
+const warningFilters = ["jswarn", "warn"];
 const persistPrefName = "devtools.webconsole.persistlog";
 
 // Domplate
@@ -77,6 +87,14 @@ const ConsoleOverlay = Class(
     this.onVariablesViewFetched = this.onVariablesViewFetched.bind(this);
     this.onSidebarClosed = this.onSidebarClosed.bind(this);
     this.onNewMessages = this.onNewMessages.bind(this);
+    this.onFilterInteraction = this.onFilterInteraction.bind(this);
+    this.restoreFilters = this.restoreFilters.bind(this);
+
+    // The user's Console filters saved by 'showErrorsOnly'.
+    this.savedFilterPrefs = null;
+
+    // Filter button for server side logs.
+    this.remoteLoggingFilter = new RemoteLoggingFilter(this);
   },
 
   onReady: function(options) {
@@ -108,13 +126,9 @@ const ConsoleOverlay = Class(
 
     if (Theme.isFirebugActive()) {
       this.updateSearchBox(true);
+      this.remoteLoggingFilter.update(true);
     }
 
-    // Initialize filter buttons.
-    // xxxHonza: disable this for now, there is a weird exception during
-    // the installation process.
-    //RemoteLoggingFilter.init(this);
-
     let win = this.getPanelWindow();
     let controller = new CommandController(this.chrome);
     win.controllers.insertControllerAt(0, controller);
@@ -129,6 +143,14 @@ const ConsoleOverlay = Class(
       this.listener.destroy();
     }
 
+    this.removeFilterListeners();
+
+    this.remoteLoggingFilter.destroy();
+
+    if (this.evalTargetFront) {
+      this.evalTargetFront.destroy();
+    }
+
     let jsterm = this.getTerminal();
     if (!jsterm) {
       TraceError.sysout("consoleOverlay.destroy; ERROR jsterm is null!");
@@ -150,11 +172,36 @@ const ConsoleOverlay = Class(
     return this.panel && this.panel.hud ? this.panel.hud.jsterm : null;
   },
 
+  /**
+   * Returns {@ConsoleListener} that fires typed events for console
+   * API calls and page errors in the current tab. Available as soon
+   * as the panel is ready.
+   */
+  getConsoleListener: function() {
+    return this.listener;
+  },
+
   // Options Menu
 
   getOptionsMenuItems: function() {
     return [
-      this.showTimestampOption()
+      this.showTimestampOption(),
+      "-",
+      Menu.optionMenu("console.option.label.serverLogHandshake",
+        "serverLogHandshake",
+        "console.option.tip.serverLogHandshake"),
+      {
+        label: "console.option.label.serverLogToken",
+        tooltiptext: "console.option.tip.serverLogToken",
+        command: this.onEditServerLogOption.bind(this, "serverLogToken",
+          "console.prompt.serverLogToken")
+      },
+      {
+        label: "console.option.label.serverLogAllowedDomains",
+        tooltiptext: "console.option.tip.serverLogAllowedDomains",
+        command: this.onEditServerLogOption.bind(this,
+          "serverLogAllowedDomains", "console.prompt.serverLogAllowedDomains")
+      }
     ];
   },
 
@@ -173,6 +220,21 @@ const ConsoleOverlay = Class(
     };
   },
 
+  /**
+   * Edit string option related to server logging. The logger actor
+   * is re-configured automatically (see RemoteLogging).
+   */
+  onEditServerLogOption: function(prefName, promptText) {
+    let value = {value: prefs[prefName] || ""};
+    let result = Services.prompt.prompt(this.getPanelWindow(),
+      Locale.$STR("console.prompt.serverLogTitle"),
+      Locale.$STR(promptText), value, null, {value: false});
+
+    if (result) {
+      prefs[prefName] = value.value.trim();
+    }
+  },
+
   // Message Logging Hooks
 
   onNewMessages: function(topic, messages) {
@@ -180,11 +242,114 @@ const ConsoleOverlay = Class(
     messages.forEach(msg => {
       this.onNewLog(msg);
       if (!someRemoteLogging)
-        someRemoteLogging = msg.response && msg.response.category === "server";
+        someRemoteLogging = isServerMessage(msg.response);
     });
 
     if (someRemoteLogging) {
-      RemoteLoggingFilter.applyFilters(this);
+      this.remoteLoggingFilter.applyFilters();
+    }
+  },
+
+  /**
+   * Filter the Console panel so only errors (and optionally warnings)
+   * are displayed. The filter is temporary, preferences of the Console
+   * filter buttons aren't changed. The user's filters are restored
+   * as soon as the user clicks a filter button or the page navigates.
+   */
+  showErrorsOnly: function(includeWarnings) {
+    let hud = this.panel.hud;
+    if (!hud) {
+      return;
+    }
+
+    let ui = hud.ui;
+    if (!this.savedFilterPrefs) {
+      this.savedFilterPrefs = Object.assign({}, ui.filterPrefs);
+
+      // Capturing listeners are executed before the native handlers
+      // of the filter buttons, so the user's click applies to restored
+      // filters.
+      ui.document.addEventListener("click", this.onFilterInteraction, true);
+      ui.document.addEventListener("command", this.onFilterInteraction, true);
+      this.toolbox.target.on("will-navigate", this.restoreFilters);
+    }
+
+    let visible = includeWarnings ? errorFilters.concat(warningFilters) :
+      errorFilters;
+
+    let filters = {};
+    for (let name of Object.keys(ui.filterPrefs)) {
+      filters[name] = visible.indexOf(name) != -1;
+    }
+
+    this.applyFilters(filters);
+  },
+
+  /**
+   * Returns true if the Console panel is filtered by 'showErrorsOnly'.
+   */
+  isErrorsOnly: function() {
+    return !!this.savedFilterPrefs;
+  },
+
+  restoreFilters: function() {
+    if (!this.savedFilterPrefs) {
+      return;
+    }
+
+    Trace.sysout("consoleOverlay.restoreFilters;", this.savedFilterPrefs);
+
+    let filters = this.savedFilterPrefs;
+    this.removeFilterListeners();
+    this.applyFilters(filters);
+  },
+
+  removeFilterListeners: function() {
+    if (!this.savedFilterPrefs) {
+      return;
+    }
+
+    this.savedFilterPrefs = null;
+    this.toolbox.target.off("will-navigate", this.restoreFilters);
+
+    let hud = this.panel ? this.panel.hud : null;
+    if (hud) {
+      let doc = hud.ui.document;
+      doc.removeEventListener("click", this.onFilterInteraction, true);
+      doc.removeEventListener("command", this.onFilterInteraction, true);
+    }
+  },
+
+  onFilterInteraction: function(event) {
+    let target = event.target;
+    if (target.classList.contains("webconsole-filter-button") ||
+        target.hasAttribute("prefKey")) {
+      this.restoreFilters();
+    }
+  },
+
+  /**
+   * Apply given filter states ({name: state}) and update the filter
+   * buttons accordingly. Unlike 'setFilterState', the states aren't
+   * stored in preferences.
+   */
+  applyFilters: function(filters) {
+    let ui = this.panel.hud.ui;
+    for (let name of Object.keys(filters)) {
+      ui.filterPrefs[name] = filters[name];
+      ui.adjustVisibilityForMessageType(name, filters[name]);
+    }
+
+    // A filter button is checked if any of its filters is enabled.
+    let buttons = ui.document.querySelectorAll(".webconsole-filter-button");
+    for (let button of buttons) {
+      let someChecked = false;
+      for (let item of button.querySelectorAll("menuitem[prefKey]")) {
+        let checked = !!ui.filterPrefs[item.getAttribute("prefKey")];
+        item.setAttribute("checked", checked);
+        someChecked = someChecked || checked;
+      }
+      button.setAttribute("checked", someChecked);
     }
   },
 
@@ -196,12 +361,6 @@ const ConsoleOverlay = Class(
 
     let hud = this.panel.hud;
 
-    // xxxHonza: needs clean up
-    if (msg && msg.category == "server") {
-      node.setAttribute("category", "server");
-      node.setAttribute("filter", "server" + msg.level);
-    }
-
     // Support for Performance Timing
     // xxxHonza: needs clean up
     if (msg && (msg instanceof Messages.JavaScriptEvalOutput) &&
@@ -211,6 +370,14 @@ const ConsoleOverlay = Class(
       return;
     }
 
+    // Support for Resource Timing
+    if (msg && (msg instanceof Messages.JavaScriptEvalOutput) &&
+        msg.response && msg.response.result &&
+        isResourceTimingList(msg.response.result)) {
+      logResourceTiming(this, msg);
+      return;
+    }
+
     let elementNodes = node.querySelectorAll(".kind-DOMNode");
     let category = node._messageObject ? node._messageObject.category : "";
 
@@ -221,6 +388,37 @@ const ConsoleOverlay = Class(
     } */
  },
 
+  /**
+   * Log a message that is rendered asynchronously (e.g. a custom
+   * renderer that needs to fetch data from the back end first).
+   * A placeholder with a throbber reserves place in the output
+   * immediately, so other logs can't jump ahead, and it's replaced
+   * by the real message as soon as it's available.
+   *
+   * @param {Promise} promise Resolved with the message object
+   * (e.g. an instance of {@Messages.Simple}) that should replace
+   * the placeholder.
+   * @param {Object} options Optional message options (category and
+   * severity) used by the placeholder.
+   *
+   * @returns {PlaceholderMessage} The placeholder message.
+   */
+  logAsync: function(promise, options) {
+    let ui = this.panel.hud.ui;
+    let placeholder = new PlaceholderMessage(options);
+
+    ui.output.addMessage(placeholder);
+
+    promise.then(message => {
+      placeholder.replaceWith(message);
+    }).then(null, err => {
+      TraceError.sysout("consoleOverlay.logAsync; ERROR " + err, err);
+      placeholder.showError(err);
+    });
+
+    return placeholder;
+  },
+
   getSidePanels: function() {
     // xxxHonza: hide the DOM panel for now.
     return [CommandEditor/*, DomSidePanel*/];
@@ -390,7 +588,7 @@ const ConsoleOverlay = Class(
       this.updatePersistButton(true);
       this.updateSearchBox(true);
 
-      RemoteLoggingFilter.update(this, true);
+      this.remoteLoggingFilter.update(true);
 
       this.toggleSideBar = new ToggleSideBarButton({
         panel: this,
@@ -417,7 +615,7 @@ const ConsoleOverlay = Class(
       this.updatePersistButton(false);
       this.updateSearchBox(false);
 
-      RemoteLoggingFilter.update(this, false);
+      this.remoteLoggingFilter.update(false);
     });
 
     this.toggleSideBar.destroy();
@@ -554,16 +752,127 @@ const ConsoleOverlay = Class(
    *
    * @param {String} expr JavaScript expression to be executed.
    * @param {Function} callback Executed when the result come back.
+   * @param {Object} evalTarget Optional frame or worker the expression
+   * should be evaluated in (see {@EvalTargetActor.listTargets}).
+   * The top level page is used by default.
    */
-  execute: function(expr, callback) {
+  execute: function(expr, callback, evalTarget) {
     // xxxHonza: unify usage of HUD
     if (!this.panel.hud) {
       TraceError.sysout("consoleOverlay.execute; ERROR no HUD!");
       return;
     }
 
+    if (evalTarget && evalTarget.type == "frame") {
+      this.executeInFrame(expr, callback, evalTarget);
+      return;
+    }
+
+    if (evalTarget && evalTarget.type == "worker") {
+      this.executeInWorker(expr, callback, evalTarget);
+      return;
+    }
+
     // Execute on the back end. TESTME
     this.panel.hud.jsterm.execute(expr, callback);
+  },
+
+  /**
+   * Execute JS expression in the scope of a child frame. An object
+   * actor for the frame window is used to bind the evaluation to
+   * the frame global.
+   */
+  executeInFrame: function(expr, callback, frame) {
+    let jsterm = this.panel.hud.jsterm;
+    let frameExpr = "window" + frame.path.map(index => {
+      return ".frames[" + index + "]";
+    }).join("");
+
+    jsterm.webConsoleClient.evaluateJS(frameExpr, response => {
+      let grip = response.result;
+      if (response.error || response.exception || !grip || !grip.actor) {
+        TraceError.sysout("consoleOverlay.executeInFrame; ERROR " +
+          frameExpr, response);
+
+        this.logEvalResult(expr, Locale.$STRF("console.frameNotAvailable",
+          [frame.url]), true, callback);
+        return;
+      }
+
+      jsterm.webConsoleClient.evaluateJS(expr, response => {
+        this.logEvalResponse(expr, response, callback);
+      }, {bindObjectActor: grip.actor});
+    });
+  },
+
+  /**
+   * Execute JS expression in the scope of a worker. There are no object
+   * actors for worker objects and so, the result is logged as a string.
+   */
+  executeInWorker: function(expr, callback, worker) {
+    let front = this.getEvalTargetFront();
+    front.evaluateInWorker(worker.id, expr).then(response => {
+      this.logEvalResult(expr, response.result, response.exception, callback);
+    }, err => {
+      TraceError.sysout("consoleOverlay.executeInWorker; ERROR " + err, err);
+    });
+  },
+
+  logEvalResult: function(expr, result, exception, callback) {
+    let output = new Messages.Simple(result, {
+      category: "output",
+      severity: exception ? "error" : "log"
+    });
+
+    this.logEvalMessages(expr, output, callback);
+  },
+
+  /**
+   * Log response of 'evaluateJS' packet. Object grips (and exceptions)
+   * are rendered the same way as results of the native JSTerm.execute.
+   */
+  logEvalResponse: function(expr, response, callback) {
+    let errorMessage = response.exception ? response.exceptionMessage :
+      (response.error ? response.message : undefined);
+
+    let output = new Messages.JavaScriptEvalOutput(response, errorMessage);
+
+    this.logEvalMessages(expr, output, callback);
+  },
+
+  logEvalMessages: function(expr, output, callback) {
+    let ui = this.panel.hud.ui;
+
+    let input = new Messages.Simple(expr, {
+      category: "input",
+      severity: "log"
+    });
+
+    // Pass the result element to the callback as soon as it's rendered.
+    if (callback) {
+      let onMessages = () => {
+        if (output.element) {
+          ui.off("new-messages", onMessages);
+          callback(output.element);
+        }
+      };
+      ui.on("new-messages", onMessages);
+    }
+
+    ui.output.addMessage(input);
+    ui.output.addMessage(output);
+  },
+
+  /**
+   * Returns front for {@EvalTargetActor} that lists frames and workers
+   * in the current tab.
+   */
+  getEvalTargetFront: function() {
+    if (!this.evalTargetFront) {
+      let target = this.toolbox.target;
+      this.evalTargetFront = EvalTargetFront(target.client, target.form);
+    }
+    return this.evalTargetFront;
   }
 });
 
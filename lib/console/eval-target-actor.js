@@ -0,0 +1,244 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const self = require("sdk/self");
+
+const { Cc, Ci, Cu } = require("chrome");
+const { Trace, TraceError } = require("../core/trace.js").get(module.id);
+const { target } = require("../target.js");
+const { defer } = require("sdk/core/promise");
+
+const { DebuggerServer } = Cu.import("resource://gre/modules/devtools/dbg-server.jsm", {});
+const { devtools } = Cu.import("resource://gre/modules/devtools/Loader.jsm", {});
+const protocol = devtools["require"]("devtools/server/protocol");
+const { method, Arg, RetVal, ActorClass, Actor } = protocol;
+
+const actorTypeName = "firebugEvalTargetActor";
+
+// The worker debugger API isn't available in all supported versions
+// of Firefox.
+const workerDebuggerManagerID = "@mozilla.org/dom/workers/workerdebuggermanager;1";
+
+// Script loaded into the debugger global of a worker. It's responsible
+// for evaluating expressions sent by this actor.
+const workerDebuggerScript = self.data.url("worker-debugger.js");
+
+/**
+ * @actor The actor is responsible for listing evaluation targets
+ * (child frames and dedicated workers) of the current tab and for
+ * evaluating expressions within workers. Expressions for child frames
+ * are evaluated by the Console actor (see {@ConsoleOverlay.execute}).
+ */
+var EvalTargetActor = ActorClass(
+/** @lends EvalTargetActor */
+{
+  typeName: actorTypeName,
+
+  // Initialization
+
+  initialize: function(conn, parent) {
+    Actor.prototype.initialize.call(this, conn);
+
+    Trace.sysout("evalTargetActor.initialize;", this);
+
+    this.parent = parent;
+    this.workerCounter = 0;
+    this.workerIds = new WeakMap();
+    this.workers = new Map();
+    this.requestCounter = 0;
+  },
+
+  destroy: function() {
+    Trace.sysout("evalTargetActor.destroy;");
+
+    this.workers.clear();
+
+    Actor.prototype.destroy.call(this);
+  },
+
+  // Actor Methods
+
+  /**
+   * Returns list of all frames and dedicated workers within the tab.
+   * Every target is an object with the following fields:
+   *
+   * id {String} Unique ID of the target.
+   * type {String} Either "frame" or "worker".
+   * url {String} Location of the frame document (or the worker script).
+   * name {String} Name of the frame.
+   * path {Array} List of indexes identifying the frame in the
+   * 'window.frames' hierarchy (frames only).
+   * depth {Number} Nesting level of the frame.
+   * sandboxed {Boolean} True if the frame element has 'sandbox' attribute.
+   */
+  listTargets: method(function() {
+    let targets = [];
+    let win = this.parent.window;
+
+    collectFrames(win, [], targets);
+
+    this.workers.clear();
+
+    for (let worker of getWorkerDebuggers(win)) {
+      let id = this.workerIds.get(worker);
+      if (!id) {
+        id = "worker" + (++this.workerCounter);
+        this.workerIds.set(worker, id);
+      }
+
+      this.workers.set(id, worker);
+
+      targets.push({
+        id: id,
+        type: "worker",
+        url: worker.url,
+        name: "",
+        depth: 0
+      });
+    }
+
+    Trace.sysout("evalTargetActor.listTargets;", targets);
+
+    return targets;
+  }, {
+    request: {},
+    response: {
+      targets: RetVal("json")
+    }
+  }),
+
+  /**
+   * Evaluate an expression in the scope of a worker. Results are
+   * returned as strings since there are no object actors for
+   * worker objects.
+   */
+  evaluateInWorker: method(function(id, expression) {
+    let deferred = defer();
+    let worker = this.workers.get(id);
+
+    if (!worker || worker.isClosed) {
+      deferred.resolve({exception: true, result: "Worker is not available"});
+      return deferred.promise;
+    }
+
+    if (!worker.isInitialized) {
+      worker.initialize(workerDebuggerScript);
+    }
+
+    let requestId = ++this.requestCounter;
+    let listener = {
+      onMessage: message => {
+        let packet = JSON.parse(message);
+        if (packet.type != "firebug-evaluate-result" ||
+            packet.id != requestId) {
+          return;
+        }
+
+        worker.removeListener(listener);
+        deferred.resolve({exception: packet.exception, result: packet.result});
+      },
+
+      onClose: () => {
+        worker.removeListener(listener);
+        deferred.resolve({exception: true, result: "Worker has been closed"});
+      },
+
+      onError: (fileName, lineNumber, message) => {
+        TraceError.sysout("evalTargetActor.evaluateInWorker; ERROR " +
+          message + " " + fileName + ":" + lineNumber);
+      }
+    };
+
+    worker.addListener(listener);
+    worker.postMessage(JSON.stringify({
+      type: "firebug-evaluate",
+      id: requestId,
+      expression: expression
+    }));
+
+    return deferred.promise;
+  }, {
+    request: {
+      id: Arg(0, "string"),
+      expression: Arg(1, "string")
+    },
+    response: {
+      result: RetVal("json")
+    }
+  })
+});
+
+// Helpers
+
+function collectFrames(win, path, targets) {
+  for (let i = 0; i < win.frames.length; i++) {
+    let frame = win.frames[i];
+    let framePath = path.concat(i);
+    let element = frame.frameElement;
+
+    targets.push({
+      id: "frame" + framePath.join("."),
+      type: "frame",
+      url: frame.location.href,
+      name: frame.name,
+      path: framePath,
+      depth: path.length,
+      sandboxed: element ? element.hasAttribute("sandbox") : false
+    });
+
+    collectFrames(frame, framePath, targets);
+  }
+}
+
+/**
+ * Returns debuggers for all dedicated workers created by given
+ * window (or any of its child frames).
+ */
+function getWorkerDebuggers(win) {
+  let result = [];
+
+  if (!(workerDebuggerManagerID in Cc)) {
+    return result;
+  }
+
+  let wdm = Cc[workerDebuggerManagerID].getService(Ci.nsIWorkerDebuggerManager);
+  let enumerator = wdm.getWorkerDebuggerEnumerator();
+  while (enumerator.hasMoreElements()) {
+    let worker = enumerator.getNext().QueryInterface(Ci.nsIWorkerDebugger);
+    if (worker.isClosed || worker.type != Ci.nsIWorkerDebugger.TYPE_DEDICATED) {
+      continue;
+    }
+
+    if (worker.window && worker.window.top == win) {
+      result.push(worker);
+    }
+  }
+
+  return result;
+}
+
+// Registration
+
+target.on("initialize", Firebug => {
+  DebuggerServer.registerModule(module.uri);
+});
+
+target.on("shutdown", Firebug => {
+  DebuggerServer.unregisterModule(module.uri);
+});
+
+exports.register = function(handle) {
+  handle.addTabActor(EvalTargetActor, actorTypeName);
+};
+
+exports.unregister = function(handle) {
+  handle.removeTabActor(EvalTargetActor, actorTypeName);
+};
+
+// Exports from this module
+exports.EvalTargetActor = EvalTargetActor;
@@ -0,0 +1,40 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Cc, Ci, Cu } = require("chrome");
+const { Trace, TraceError } = require("../core/trace.js").get(module.id);
+const { EvalTargetActor } = require("./eval-target-actor.js");
+
+const { devtools } = Cu.import("resource://gre/modules/devtools/Loader.jsm", {});
+
+const { Front, FrontClass } = devtools["require"]("devtools/server/protocol");
+
+/**
+ * @front This object represents client side for {@EvalTargetActor} actor.
+ *
+ * Example:
+ *   let front = EvalTargetFront(target.client, target.form);
+ *   front.listTargets().then(targets => { ... });
+ */
+var EvalTargetFront = FrontClass(EvalTargetActor,
+/** @lends EvalTargetFront */
+{
+  // Initialization
+
+  initialize: function(client, form) {
+    Front.prototype.initialize.call(this, client, form);
+
+    Trace.sysout("evalTargetFront.initialize;", this);
+
+    this.actorID = form[EvalTargetActor.prototype.typeName];
+    this.manage(this);
+  }
+});
+
+// Exports from this module
+exports.EvalTargetFront = EvalTargetFront;
@@ -15,15 +15,29 @@ const { Dom } = require("../core/dom.js");
 const { Locale } = require("../core/locale.js");
 const { Str } = require("../core/string.js");
 const { DomCache } = require("../dom/domCache.js");
+const { Url } = require("../core/url.js");
+const { all, defer } = require("sdk/core/promise");
+const { TimingBaselines } = require("./timing-baselines.js");
+const { TimingExport } = require("./timing-export.js");
+const { ScriptExport } = require("./script-export.js");
+const { Menu } = require("../chrome/menu.js");
+const { Events } = require("../core/events.js");
 
 const { devtools } = Cu.import("resource://gre/modules/devtools/Loader.jsm", {});
+const { Services } = Cu.import("resource://gre/modules/Services.jsm", {});
 const { Messages } = devtools["require"]("devtools/webconsole/console-output");
 
 const Heritage = require("sdk/core/heritage");
+const Clipboard = require("sdk/clipboard");
 const Simple = Messages.Simple;
 
+const XUL_NS = "http://www.mozilla.org/keymaster/gatekeeper/there.is.only.xul";
+
+// ID of the context menu displayed for performance timing graph.
+const contextMenuId = "fbPerfTimingContextMenu";
+
 // Domplate
-const {domplate, TABLE, THEAD, TH, TBODY, TR, TD, DIV, SPAN, FOR} = Domplate;
+const {domplate, TABLE, THEAD, TH, TBODY, TR, TD, DIV, SPAN, FOR, A} = Domplate;
 
 /**
  * This method creates a custom log rendering detailed performance timing
@@ -38,39 +52,143 @@ const {domplate, TABLE, THEAD, TH, TBODY, TR, TD, DIV, SPAN, FOR} = Domplate;
 function logPerformanceTiming(consoleOverlay, msg) {
   Trace.sysout("performanceTiming.logPerformanceTiming;", msg);
 
-  let hud = consoleOverlay.panel.hud;
   let toolbox = consoleOverlay.toolbox;
   let target = toolbox.target;
-
-  // xxxHonza: create a place holder log with a throbber and wait
-  // for the grip properties response from the server.
-  // Doing the log asynchronously could be too late and some other
-  // logs could jump in.
-
   let context = consoleOverlay.getContext();
 
   // Get the current thread actor and render the object structure.
-  context.getCache().then(cache => {
+  // User Timing entries (marks and measures) are displayed in
+  // the same diagram. If there is a baseline for the current page
+  // the diagram also compares the timing with it.
+  // The data are fetched asynchronously, so a placeholder is
+  // displayed till the graph is ready.
+  let promise = context.getCache().then(cache => {
     let grip = msg.response.result;
-    cache.getPrototypeAndProperties(grip).then(response => {
-      let ownProperties = response.ownProperties;
-      let timing = validateTiming(ownProperties);
-      let result = calculateTiming(timing);
-      let message = new PerformanceTimingMessage(result);
-      hud.ui.output.addMessage(message);
+    return all([
+      cache.getPrototypeAndProperties(grip),
+      getUserTiming(consoleOverlay, cache)
+    ]);
+  }).then(([response, userTiming]) => {
+    let ownProperties = response.ownProperties;
+    let timing = validateTiming(ownProperties);
+    let baseline = TimingBaselines.getBaseline(target.url);
+    let result = calculateTiming(timing, userTiming, baseline);
+    result.url = target.url;
+    return new PerformanceTimingMessage(result);
+  });
+
+  consoleOverlay.logAsync(promise, {category: "input", severity: "log"});
+}
+
+/**
+ * Returns list of User Timing entries (created by 'performance.mark()'
+ * and 'performance.measure()') in the current page.
+ *
+ * @returns {Promise} Resolved with an array of entries. The array
+ * is empty if the entries aren't available.
+ */
+function getUserTiming(consoleOverlay, cache) {
+  let deferred = defer();
+  let hud = consoleOverlay.panel.hud;
+
+  let expr = "performance.getEntriesByType('mark').concat(" +
+    "performance.getEntriesByType('measure'))";
+
+  hud.jsterm.webConsoleClient.evaluateJS(expr, response => {
+    if (response.error || response.exception || !response.result.actor) {
+      deferred.resolve([]);
+      return;
+    }
+
+    getEntries(cache, response.result).then(deferred.resolve, err => {
+      TraceError.sysout("performanceTiming.getUserTiming; ERROR " +
+        err, err);
+      deferred.resolve([]);
     });
   });
+
+  return deferred.promise;
+}
+
+/**
+ * Fetch all entries of given array grip (e.g. a result of
+ * 'performance.getEntriesByType()') including their properties.
+ *
+ * @returns {Promise} Resolved with an array of plain objects.
+ */
+function getEntries(cache, grip) {
+  return cache.getPrototypeAndProperties(grip).then(response => {
+    // Properties of the array are indexes of the entries.
+    let ownProperties = response.ownProperties;
+    let entries = Object.keys(ownProperties)
+      .filter(name => /^\d+$/.test(name))
+      .sort((a, b) => a - b)
+      .map(name => ownProperties[name].value);
+
+    return all(entries.map(entry => {
+      return cache.getPrototypeAndProperties(entry).then(response => {
+        return validateTiming(response.ownProperties);
+      });
+    }));
+  });
+}
+
+/**
+ * This method creates a custom log rendering waterfall diagram for
+ * a list of {@PerformanceResourceTiming} entries, e.g. the result of
+ * 'performance.getEntriesByType("resource")'. There is one row for
+ * every resource and all rows share the same time axis.
+ *
+ * @param {@ConsoleOverlay} consoleOverlay Console panel overlay.
+ * @param {@Messages.JavaScriptEvalOutput} msg The original Message
+ * object logged into the {@WebConsole}. This object contains an actor
+ * for the array of entries.
+ */
+function logResourceTiming(consoleOverlay, msg) {
+  Trace.sysout("performanceTiming.logResourceTiming;", msg);
+
+  let context = consoleOverlay.getContext();
+
+  let promise = context.getCache().then(cache => {
+    return getEntries(cache, msg.response.result);
+  }).then(entries => {
+    let result = calculateResourceTiming(entries);
+    return new PerformanceTimingMessage(result, ResourceTiming);
+  });
+
+  consoleOverlay.logAsync(promise, {category: "input", severity: "log"});
+}
+
+/**
+ * Returns true if given grip is an array of resource timing entries.
+ * The preview contains only a few first items, but all entries in the
+ * array have the same type.
+ */
+function isResourceTimingList(grip) {
+  if (!grip || grip.class != "Array" || !grip.preview) {
+    return false;
+  }
+
+  let items = grip.preview.items;
+  if (!items || !items.length) {
+    return false;
+  }
+
+  return items.every(item => {
+    return item && item.class == "PerformanceResourceTiming";
+  });
 }
 
 /**
  * This object represents Console message. Instances of this object
  * are placed directly into {@WebConsole} output queue.
  * The object implements a render methods that is executed automatically
- * by the platform. The method uses {@PerformanceTiming} template to
- * render a graph with timing info.
+ * by the platform. The method uses {@PerformanceTiming} template
+ * (or given template) to render a graph with timing info.
  */
-function PerformanceTimingMessage(msg) {
+function PerformanceTimingMessage(msg, template) {
   this.timing = msg;
+  this.template = template || PerformanceTiming;
 
   let options = {category: "input", severity: "log"};
   Messages.Simple.call(this, "", options);
@@ -89,7 +207,7 @@ PerformanceTimingMessage.prototype = Heritage.extend(Simple.prototype,
 
     // Render graphical performance timing info.
     let input = {object: this.timing};
-    let node = PerformanceTiming.tag.append(input, messageBody);
+    let node = this.template.tag.append(input, messageBody);
 
     return this;
   },
@@ -111,12 +229,17 @@ var PerformanceTiming = domplate(Rep,
 
   tag:
     TABLE({"class": "perfTimingTable", cellspacing: 0, cellpadding: 0,
-      width: "100%", "role": "grid", _repObject: "$object"},
+      width: "100%", "role": "grid", _repObject: "$object",
+      oncontextmenu: "$onContextMenu"},
       TBODY({"class": "perfTimingTbody", "role": "presentation"},
         FOR("bar", "$object.bars",
-          TR(
+          TR({"class": "perfTimingRow", $regressed: "$bar.regressed"},
             TD(
               DIV({"class": "perfTimingBox"},
+                DIV({"class": "perfTimingBaseline",
+                  $hasBaseline: "$bar.hasBaseline",
+                  style: "left: $bar.baseLeft%; width: $bar.baseWidth%"}
+                ),
                 DIV({"class": "perfTimingBar $bar.className",
                   style: "left: $bar.left%; width: $bar.width%"},
                   SPAN({"class": "perfTimingBarLabel"}, "$bar.label")
@@ -133,14 +256,132 @@ var PerformanceTiming = domplate(Rep,
                 DIV({"class": "perfTimingEvent onLoad",
                   style: "left: $bar.onLoad%;"}
                 ),
+                FOR("mark", "$bar.marks",
+                  DIV({"class": "perfTimingEvent userMark",
+                    style: "left: $mark.left%;", title: "$mark.name"}
+                  )
+                ),
                 DIV({"class": "perfTimingEvent cursor"})
               )
             )
           )
+        ),
+        TR({"class": "perfTimingFooter"},
+          TD(
+            SPAN({"class": "perfTimingBaselineInfo"},
+              "$object|getBaselineInfo"
+            ),
+            A({"class": "perfTimingSaveBaseline", onclick: "$onSaveBaseline"},
+              "$object|getSaveBaselineLabel"
+            )
+          )
         )
       )
     ),
 
+  getBaselineInfo: function(object) {
+    if (!object.baseline) {
+      return "";
+    }
+
+    return Locale.$STRF("timing.baseline.compared",
+      [object.baseline.name, object.threshold + "%"]);
+  },
+
+  getSaveBaselineLabel: function(object) {
+    return Locale.$STR("timing.baseline.save");
+  },
+
+  /**
+   * Pin the result as a named baseline for the current page.
+   * Later logs of 'performance.timing' for the same URL are
+   * compared with it.
+   */
+  onSaveBaseline: function(event) {
+    let object = Reps.getTargetRepObject(event.target);
+    let win = event.target.ownerDocument.defaultView;
+    if (!object || !object.url) {
+      return;
+    }
+
+    let title = Locale.$STR("timing.baseline.title");
+    let value = {value: object.baseline ? object.baseline.name : ""};
+    let result = Services.prompt.prompt(win, title,
+      Locale.$STR("timing.baseline.prompt"), value, null, {value: false});
+
+    let name = result ? value.value.trim() : "";
+    if (!name) {
+      return;
+    }
+
+    TimingBaselines.save(object.url, name, object.phases);
+
+    let table = Dom.getAncestorByClass(event.target, "perfTimingTable");
+    let info = table.querySelector(".perfTimingBaselineInfo");
+    info.textContent = Locale.$STRF("timing.baseline.saved", [name]);
+  },
+
+  // Context Menu
+
+  /**
+   * Display custom context menu that allows to export the timing
+   * info. The menu popup is created within the Console panel document.
+   */
+  onContextMenu: function(event) {
+    let object = Reps.getTargetRepObject(event.target);
+    if (!object) {
+      return;
+    }
+
+    Events.cancelEvent(event);
+
+    let doc = event.target.ownerDocument;
+    let popup = doc.getElementById(contextMenuId);
+    if (!popup) {
+      popup = doc.createElementNS(XUL_NS, "menupopup");
+      popup.setAttribute("id", contextMenuId);
+      doc.documentElement.appendChild(popup);
+    }
+
+    Dom.clearNode(popup);
+
+    let win = doc.defaultView;
+    Menu.createMenuItems(popup, this.getContextMenuItems(object, win));
+
+    popup.openPopupAtScreen(event.screenX, event.screenY, true);
+  },
+
+  getContextMenuItems: function(object, win) {
+    let formats = [
+      {id: "JSON", fileName: "timing.json", convert: "toJSON"},
+      {id: "CSV", fileName: "timing.csv", convert: "toCSV"},
+      {id: "HAR", fileName: "timing.har", convert: "toHAR"}
+    ];
+
+    let copyItems = formats.map(format => ({
+      id: "fbPerfTimingCopy" + format.id,
+      label: "timing.copyAs" + format.id,
+      command: () => {
+        Clipboard.set(TimingExport[format.convert](object), "text");
+      }
+    }));
+
+    let saveItems = formats.map(format => ({
+      id: "fbPerfTimingSave" + format.id,
+      label: "timing.saveAs" + format.id,
+      command: () => {
+        let text = TimingExport[format.convert](object);
+        let title = Locale.$STR("timing.export.title");
+        ScriptExport.saveAs(win, format.fileName, text, title).then(null,
+          err => {
+            TraceError.sysout("performanceTiming.saveAs; ERROR " + err, err);
+          });
+      }
+    }));
+
+    return copyItems.concat("-", saveItems);
+  },
+
   getTitle: function(grip) {
     return "PerformanceTiming";
   },
@@ -150,31 +391,251 @@ var PerformanceTiming = domplate(Rep,
   },
 });
 
+/**
+ * @rep This object implements a template for list of
+ * {@PerformanceResourceTiming} entries. Every row displays timing
+ * phases of one resource and all rows use the same time axis.
+ *
+ * For example: type the following into the command line and press enter:
+ * 'performance.getEntriesByType("resource")'
+ */
+var ResourceTiming = domplate(Rep,
+/** @lends ResourceTiming */
+{
+  className: "resourceTiming",
+
+  tag:
+    TABLE({"class": "perfTimingTable resourceTimingTable", cellspacing: 0,
+      cellpadding: 0, width: "100%", "role": "grid", _repObject: "$object"},
+      TBODY({"class": "perfTimingTbody", "role": "presentation"},
+        TR({"class": "resourceTimingAxis"},
+          TD({"class": "resourceTimingName"}),
+          TD(
+            DIV({"class": "perfTimingBox"},
+              FOR("tick", "$object.ticks",
+                SPAN({"class": "resourceTimingTick",
+                  style: "left: $tick.left%;"}, "$tick.label")
+              )
+            )
+          )
+        ),
+        FOR("row", "$object.rows",
+          TR({"class": "resourceTimingRow"},
+            TD({"class": "resourceTimingName", title: "$row.url"},
+              "$row.name"
+            ),
+            TD(
+              DIV({"class": "perfTimingBox"},
+                FOR("bar", "$row.bars",
+                  DIV({"class": "perfTimingBar $bar.className",
+                    style: "left: $bar.left%; width: $bar.width%;",
+                    title: "$bar.label"})
+                ),
+                SPAN({"class": "perfTimingBarLabel",
+                  style: "left: $row.end%;"}, "$row.label")
+              )
+            )
+          )
+        )
+      )
+    ),
+
+  getTitle: function(grip) {
+    return "PerformanceResourceTiming";
+  },
+
+  supportsObject: function(grip, type) {
+    return false;
+  },
+});
+
 // Helpers
 
-function calculateTiming(timing) {
+/**
+ * Compute rows of the resource waterfall. All positions are in percents
+ * of the total time (the end of the last resource).
+ */
+function calculateResourceTiming(entries) {
+  let elapsed = 0;
+  for (let entry of entries) {
+    elapsed = Math.max(elapsed, entry.responseEnd || 0,
+      entry.startTime + entry.duration);
+  }
+
+  // Avoid division by zero (e.g. resources loaded from the cache).
+  elapsed = elapsed || 1;
+
+  let rows = entries.map(entry => {
+    let end = Math.max(entry.responseEnd || 0, entry.startTime + entry.duration);
+
+    let bars = calculateResourceBars(entry).filter(bar => bar.elapsed > 0);
+    for (let bar of bars) {
+      bar.left = calculatePos(bar.start, elapsed);
+      bar.width = calculatePos(bar.elapsed, elapsed);
+      bar.label = bar.label + " " + Str.formatTime(bar.elapsed);
+    }
+
+    return {
+      url: entry.name,
+      name: Str.cropString(Url.getFileName(entry.name) || entry.name, 40),
+      bars: bars,
+      end: calculatePos(end, elapsed),
+      label: Str.formatTime(entry.duration),
+    };
+  });
+
+  // Time axis (the same for all rows).
+  let ticks = [];
+  let count = 4;
+  for (let i = 0; i <= count; i++) {
+    ticks.push({
+      left: Math.round((i / count) * 100),
+      label: Str.formatTime(elapsed * i / count),
+    });
+  }
+
+  return { rows: rows, ticks: ticks, elapsed: elapsed };
+}
+
+/**
+ * Returns timing phases of one resource. Detailed phases are available
+ * only for same-origin resources (or if the server sends
+ * 'Timing-Allow-Origin' header); otherwise the whole duration is
+ * displayed as one bar.
+ */
+function calculateResourceBars(t) {
+  if (!t.requestStart) {
+    return [{
+      className: "resource",
+      start: t.startTime,
+      elapsed: t.duration,
+      label: Locale.$STR("timing.Duration"),
+    }];
+  }
+
+  let result = [];
+
+  // Redirect
+  result.push({
+    className: "redirect",
+    start: t.redirectStart,
+    elapsed: t.redirectStart ? t.redirectEnd - t.redirectStart : 0,
+    label: Locale.$STR("timing.Redirect"),
+  });
+
+  // DNS
+  result.push({
+    className: "dns",
+    start: t.domainLookupStart,
+    elapsed: t.domainLookupEnd - t.domainLookupStart,
+    label: Locale.$STR("timing.DNS"),
+  });
+
+  // Connect (TCP only, TLS handshake is displayed separately)
+  let secure = t.secureConnectionStart > 0;
+  result.push({
+    className: "connecting",
+    start: t.connectStart,
+    elapsed: (secure ? t.secureConnectionStart : t.connectEnd) - t.connectStart,
+    label: Locale.$STR("timing.Connecting"),
+  });
+
+  // TLS
+  result.push({
+    className: "ssl",
+    start: t.secureConnectionStart,
+    elapsed: secure ? t.connectEnd - t.secureConnectionStart : 0,
+    label: Locale.$STR("timing.TLS"),
+  });
+
+  // Waiting
+  result.push({
+    className: "waiting",
+    start: t.requestStart,
+    elapsed: t.responseStart - t.requestStart,
+    label: Locale.$STR("timing.Waiting"),
+  });
+
+  // Receiving
+  result.push({
+    className: "response",
+    start: t.responseStart,
+    elapsed: t.responseEnd - t.responseStart,
+    label: Locale.$STR("timing.Receiving"),
+  });
+
+  return result;
+}
+
+function calculateTiming(timing, userTiming, baseline) {
   let t = timing;
   let elapsed = t.loadEventEnd - t.navigationStart;
 
+  // User Timing entries can be created after the page is loaded,
+  // so extend the time axis to include all of them.
+  userTiming = userTiming || [];
+  for (let entry of userTiming) {
+    elapsed = Math.max(elapsed, entry.startTime + entry.duration);
+  }
+
+  // The same for phases of the baseline.
+  let basePhases = baseline ? baseline.phases : {};
+  for (let id in basePhases) {
+    let phase = basePhases[id];
+    elapsed = Math.max(elapsed, phase.start + phase.elapsed);
+  }
+
+  let threshold = TimingBaselines.getThreshold();
+  let phases = {};
+
   let objects = [];
-  let bars = calculateBars(t);
+  let bars = calculateBars(t).concat(calculateUserTimingBars(userTiming));
 
   let result = [];
   for (let i=0; i<bars.length; i++) {
     let bar = bars[i];
 
-    // Filter our empty bars.
-    if (!bar.elapsed) {
+    // Filter our empty bars (marks don't have any duration).
+    if (!bar.elapsed && !bar.mark) {
       continue;
     }
 
     bar.left = calculatePos(bar.start, elapsed);
     bar.width = calculatePos(bar.elapsed, elapsed);
-    bar.label = bar.label + " " + Str.formatTime(bar.elapsed);
+    bar.label = bar.label + " " + Str.formatTime(bar.mark ?
+      bar.start : bar.elapsed);
+
+    // Phases are stored when the result is saved as a baseline.
+    let id = getPhaseId(bar);
+    if (id) {
+      phases[id] = {start: bar.start, elapsed: bar.elapsed};
+    }
+
+    // Display the baseline phase (if any) as a ghost bar
+    // in the same row.
+    let basePhase = id ? basePhases[id] : null;
+    bar.hasBaseline = !!basePhase;
+    bar.baseLeft = basePhase ? calculatePos(basePhase.start, elapsed) : 0;
+    bar.baseWidth = basePhase ? calculatePos(basePhase.elapsed, elapsed) : 0;
+
+    if (basePhase) {
+      let diff = TimingBaselines.compare(bar.elapsed, basePhase.elapsed,
+        threshold);
+      bar.label += " (" + (diff.delta < 0 ? "-" : "+") +
+        Str.formatTime(Math.abs(diff.delta)) + ")";
+      bar.regressed = diff.regressed;
+    }
 
     result.push(bar);
   }
 
+  // User marks are displayed as vertical lines across all bars.
+  let marks = userTiming.filter(entry => entry.entryType == "mark")
+    .map(entry => ({
+      name: entry.name,
+      left: calculatePos(entry.startTime, elapsed)
+    }));
+
   // Events
   let domLoading = calculatePos(t.domLoading - t.navigationStart, elapsed);
   let domInteractive = calculatePos(t.domInteractive - t.navigationStart, elapsed);
@@ -187,9 +648,29 @@ function calculateTiming(timing) {
     bar.domInteractive = domInteractive;
     bar.domContentLoaded = domContentLoaded;
     bar.onLoad = onLoad;
+    bar.marks = marks;
+  }
+
+  return {
+    bars: result,
+    timing: t,
+    phases: phases,
+    baseline: baseline,
+    threshold: threshold
+  };
+}
+
+/**
+ * Returns ID of the phase represented by given bar. The ID is used
+ * to match phases of a baseline. Marks aren't phases.
+ */
+function getPhaseId(bar) {
+  if (bar.mark) {
+    return null;
   }
 
-  return { bars: result, timing: t }
+  return (bar.className == "measure") ? "measure:" + bar.name :
+    bar.className;
 }
 
 function calculatePos(time, elapsed) {
@@ -276,6 +757,34 @@ function calculateBars(timing) {
   return result;
 }
 
+/**
+ * Returns bars for User Timing entries. Start times of the entries
+ * are already relative to 'navigationStart'. There is one bar for
+ * every measure and one (zero width) bar for every mark that labels
+ * the corresponding vertical line.
+ */
+function calculateUserTimingBars(userTiming) {
+  let result = [];
+
+  for (let entry of userTiming) {
+    if (entry.entryType != "mark" && entry.entryType != "measure") {
+      continue;
+    }
+
+    let mark = (entry.entryType == "mark");
+    result.push({
+      className: entry.entryType,
+      start: entry.startTime,
+      elapsed: mark ? 0 : entry.duration,
+      mark: mark,
+      name: entry.name,
+      label: entry.name,
+    });
+  }
+
+  return result.sort((a, b) => a.start - b.start);
+}
+
 function validateTiming(timing) {
   let result = {};
   for (let p in timing) {
@@ -286,3 +795,6 @@ function validateTiming(timing) {
 
 // Exports from this module
 exports.logPerformanceTiming = logPerformanceTiming;
+exports.logResourceTiming = logResourceTiming;
+exports.isResourceTimingList = isResourceTimingList;
+exports.calculateResourceTiming = calculateResourceTiming;
@@ -0,0 +1,161 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Cu } = require("chrome");
+const { Trace, TraceError } = require("../core/trace.js").get(module.id);
+const { Domplate } = require("../core/domplate.js");
+const { Rep } = require("../reps/rep.js");
+const { Dom } = require("../core/dom.js");
+const { Locale } = require("../core/locale.js");
+
+const { devtools } = Cu.import("resource://gre/modules/devtools/Loader.jsm", {});
+const { Messages } = devtools["require"]("devtools/webconsole/console-output");
+
+const Heritage = require("sdk/core/heritage");
+const Simple = Messages.Simple;
+
+// Domplate
+const { domplate, DIV, SPAN } = Domplate;
+
+/**
+ * This object represents a Console message that reserves place
+ * in the output for a message rendered asynchronously (e.g. a message
+ * that needs to fetch data from the back end first). The placeholder
+ * displays a throbber and is replaced by the real message as soon
+ * as it's available (see {@ConsoleOverlay.logAsync}).
+ *
+ * @param {Object} options Message options (category and severity)
+ * used by the placeholder.
+ */
+function PlaceholderMessage(options) {
+  this.replacement = null;
+  this.error = null;
+
+  Simple.call(this, "", options || {category: "output", severity: "log"});
+}
+
+PlaceholderMessage.prototype = Heritage.extend(Simple.prototype,
+/** @lends PlaceholderMessage */
+{
+  render: function() {
+    // The real message can be available before the placeholder
+    // is rendered (the output is flushed asynchronously). In such
+    // case render the real message directly.
+    if (this.replacement) {
+      let message = this.replacement;
+      message.init(this.output, this.parent);
+      message.render();
+
+      this.element = message.element;
+      return this;
+    }
+
+    Simple.prototype.render.apply(this, arguments);
+
+    let messageBody = this.element.querySelector(".message-body");
+    Dom.clearNode(messageBody);
+
+    Placeholder.tag.append({object: this}, messageBody);
+
+    if (this.error) {
+      this.showError(this.error);
+    }
+
+    return this;
+  },
+
+  /**
+   * Replace the placeholder by given message. If the placeholder is
+   * already rendered, the real message is queued in the output like any
+   * other message, so it's filtered, counted as a repeat, pruned and
+   * announced through 'new-messages' event by the Console panel.
+   * The message keeps position of the placeholder.
+   */
+  replaceWith: function(message) {
+    Trace.sysout("placeholderMessage.replaceWith;", message);
+
+    this.replacement = message;
+
+    if (!this.element || !this.element.parentNode) {
+      return;
+    }
+
+    message.init(this.output, this.parent);
+
+    // This relies on the following (private) parts of webconsole.js
+    // and console-output.js:
+    // 1) WebConsoleFrame.outputMessage(category, methodOrNode, args)
+    //    only queues the message. The category is the one used by
+    //    ConsoleOutput.addMessage (i.e. 'msg._categoryCompat').
+    // 2) WebConsoleFrame._outputMessageFromQueue calls the method,
+    //    passes the returned node through 'filterMessageNode' and
+    //    '_filterRepeatedMessage' and finally inserts it using
+    //    insertBefore(node, afterNode ? afterNode.nextSibling : null),
+    //    where 'afterNode' is 'node._outputAfterNode'.
+    // Keep in sync if any of these changes.
+    let ui = this.output.owner;
+    ui.outputMessage(message._categoryCompat, () => {
+      let node = message.render().element;
+
+      // Put the real message in place of the placeholder. The output
+      // inserts the node after '_outputAfterNode', so use the node itself
+      // to keep it where it is.
+      let placeholder = this.element;
+      if (placeholder.parentNode) {
+        placeholder.parentNode.replaceChild(node, placeholder);
+        node._outputAfterNode = node;
+      }
+
+      this.element = node;
+      return node;
+    });
+  },
+
+  /**
+   * Display an error in place of the throbber. Used if the data for
+   * the real message couldn't be fetched.
+   */
+  showError: function(error) {
+    this.error = error;
+
+    if (!this.element) {
+      return;
+    }
+
+    let node = this.element.querySelector(".consolePlaceholder");
+    if (node) {
+      node.classList.add("error");
+      node.querySelector(".consolePlaceholderLabel").textContent =
+        Locale.$STRF("console.placeholder.error", [error]);
+    }
+  }
+});
+
+/**
+ * @rep Template for content of the {@PlaceholderMessage}.
+ */
+var Placeholder = domplate(Rep,
+/** @lends Placeholder */
+{
+  className: "placeholder",
+
+  tag:
+    DIV({"class": "consolePlaceholder"},
+      SPAN({"class": "consolePlaceholderThrobber"}),
+      SPAN({"class": "consolePlaceholderLabel"},
+        "$object|getLabel"
+      )
+    ),
+
+  getLabel: function(object) {
+    return Locale.$STR("console.placeholder.loading");
+  }
+});
+
+// Exports from this module
+exports.PlaceholderMessage = PlaceholderMessage;
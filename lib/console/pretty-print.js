@@ -22,14 +22,24 @@ var prettyPrintWorker;
 var PrettyPrint =
 /** @lends PrettyPrint */
 {
+  /**
+   * Pretty print given source.
+   *
+   * @returns {Promise} Resolved with the formatted source or rejected
+   * with an error object: {message, line, column}. The line and column
+   * are available for syntax errors only (both are 1-based).
+   */
   run: function(value) {
+    let deferred = defer();
+
+    // Nothing to format, return the (empty) input back.
     if (/^\s*$/.test(value)) {
-      return;
+      deferred.resolve(value);
+      return deferred.promise;
     }
 
     let worker = getPrettyPrintWorker();
     let id = "firebug-" + Obj.getUniqueId();
-    let deferred = defer();
 
     let onReply = ({data}) => {
       if (data.id !== id) {
@@ -42,17 +52,7 @@ var PrettyPrint =
         TraceError.sysout("commandEditor.prettyPrint; ERROR " +
           data.error, data);
 
-        // Remove stack trace info from the error message (separated by
-        // a newline, see pretty-print-worker.js)
-        let message = String(data.error);
-        let index = message.indexOf("\n");
-        message = message.substr(0, index);
-
-        // Log only an error message into the Console panel.
-        // xxxHonza: FIX ME
-        //Firebug.Console.logFormatted([message], context, "error", true);
-
-        deferred.reject(data.error);
+        deferred.reject(parseError(data.error));
       } else {
         deferred.resolve(data.code);
       }
@@ -73,6 +73,35 @@ var PrettyPrint =
 
 // Local Helpers
 
+/**
+ * Parse error coming from the worker. The message contains also a stack
+ * trace (separated by a newline, see pretty-print-worker.js) and syntax
+ * errors (generated by Acorn) end with a location, e.g.:
+ * "Unexpected token (3:12)". The column is zero-based there.
+ */
+function parseError(error) {
+  let message = String(error);
+  let index = message.indexOf("\n");
+  if (index != -1) {
+    message = message.substr(0, index);
+  }
+
+  let result = {
+    message: message,
+    line: 0,
+    column: 0
+  };
+
+  let location = /\s*\((\d+):(\d+)\)$/.exec(message);
+  if (location) {
+    result.message = message.substr(0, location.index);
+    result.line = parseInt(location[1], 10);
+    result.column = parseInt(location[2], 10) + 1;
+  }
+
+  return result;
+}
+
 /**
  * Get or create the worker that handles pretty printing.
  */
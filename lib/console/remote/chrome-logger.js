@@ -0,0 +1,158 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Trace, TraceError } = require("../../core/trace.js").get(module.id);
+const { LogParsers } = require("./log-parsers.js");
+
+const base64 = require("sdk/base64");
+
+const headerName = "x-chromelogger-data";
+
+// One backtrace frame is usually 'file : line' (PHP, Python),
+// 'file:line:column' (Node.js) or 'file:line:in `method'' (Ruby).
+const frameRegExp = /^(.*?)\s*:\s*(\d+)(?:\s*:\s*(\d+))?(?:\s*:\s*in\s+[`']?([^`']*)'?)?$/;
+
+// V8 like frame: 'at method (file:line:column)'.
+const v8FrameRegExp = /^at\s+(?:(.*?)\s+\()?(.*?)\)?$/;
+
+/**
+ * This object implements a parser for server side logs sent using
+ * ChromeLogger protocol. Logs are sent as base64 encoded JSON within
+ * X-ChromeLogger-Data header. See the protocol description at:
+ * https://craig.is/writing/chrome-logger/techspecs
+ */
+var ChromeLogger =
+/** @lends ChromeLogger */
+{
+  id: "chromeLogger",
+
+  acceptsHeader: function(name) {
+    return name.toLowerCase() == headerName;
+  },
+
+  parse: function(headers) {
+    let messages = [];
+    for (let header of headers) {
+      messages.push(...this.parseValue(header.value));
+    }
+    return messages;
+  },
+
+  parseValue: function(value) {
+    let data = JSON.parse(base64.decode(value));
+    let parsedMessage = [];
+    let columnMap = this.getColumnMap(data);
+
+    for (let row of data.rows) {
+      let backtrace = row[columnMap.get("backtrace")];
+      let label = row[columnMap.get("label")];
+      let rawLogs = row[columnMap.get("log")];
+      let type = row[columnMap.get("type")] || "log";
+
+      // new version without label
+      let newVersion = false;
+      if (data.columns.indexOf("label") === -1) {
+        newVersion = true;
+      }
+
+      // if this is the old version do some converting
+      if (!newVersion) {
+        let showLabel = label && typeof label === "string";
+
+        rawLogs = [rawLogs];
+
+        if (showLabel) {
+          rawLogs.unshift(label);
+        }
+      }
+
+      // Note that there is no backtrace for groups. The location
+      // is set from the first frame (see LogParsers).
+      parsedMessage.push({
+        logs: rawLogs,
+        stacktrace: this.parseBacktrace(backtrace),
+        type: type
+      });
+    }
+
+    return parsedMessage;
+  },
+
+  /**
+   * Parse backtrace of a log. The backtrace can be a string with one
+   * or more (new line separated) frames or an array of such strings.
+   * Frames in unknown format are ignored.
+   *
+   * @returns {Array} List of {url, line, column, functionName} frames.
+   */
+  parseBacktrace: function(backtrace) {
+    if (!backtrace) {
+      return [];
+    }
+
+    let lines = Array.isArray(backtrace) ? backtrace :
+      String(backtrace).split(/\r?\n/);
+
+    let frames = [];
+    for (let line of lines) {
+      let frame = this.parseFrame(line);
+      if (frame) {
+        frames.push(frame);
+      } else if (line) {
+        Trace.sysout("chromeLogger.parseBacktrace; unknown frame: " + line);
+      }
+    }
+
+    return frames;
+  },
+
+  parseFrame: function(line) {
+    if (typeof line != "string") {
+      return null;
+    }
+
+    line = line.trim();
+
+    let functionName = "";
+    let v8Frame = line.match(v8FrameRegExp);
+    if (v8Frame) {
+      functionName = v8Frame[1] || "";
+      line = v8Frame[2];
+    }
+
+    let result = line.match(frameRegExp);
+    if (!result || !result[1]) {
+      return null;
+    }
+
+    return {
+      url: result[1],
+      line: parseInt(result[2], 10),
+      column: result[3] ? parseInt(result[3], 10) : 0,
+      functionName: functionName || result[4] || ""
+    };
+  },
+
+  getColumnMap: function(data) {
+    let columnMap = new Map();
+    let columnName;
+
+    for (let key in data.columns) {
+      columnName = data.columns[key];
+      columnMap.set(columnName, key);
+    }
+
+    return columnMap;
+  }
+};
+
+// Registration
+LogParsers.registerParser(ChromeLogger);
+
+// Exports from this module
+exports.ChromeLogger = ChromeLogger;
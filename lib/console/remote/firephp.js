@@ -0,0 +1,232 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Trace, TraceError } = require("../../core/trace.js").get(module.id);
+const { LogParsers } = require("./log-parsers.js");
+
+// Message headers have the following format:
+// X-Wf-<protocol>-<structure>-<plugin>-<index>
+const messageHeaderRegExp = /^X-Wf-(\d+)-(\d+)-(\d+)-(\d+)$/i;
+
+// A message chunk is 'length|data|' where the length is specified only
+// in the first chunk and a trailing backslash says that the message
+// continues in the next header.
+const messageChunkRegExp = /^(\d*)\|([\s\S]*)\|(\\?)$/;
+
+// Map of FirePHP log types to the console API levels (used also
+// by ChromeLogger).
+const logTypes = {
+  "LOG": "log",
+  "INFO": "info",
+  "WARN": "warn",
+  "ERROR": "error",
+  "EXCEPTION": "error",
+  "DUMP": "log",
+  "TABLE": "table",
+  "TRACE": "trace",
+  "GROUP_START": "group",
+  "GROUP_END": "groupEnd"
+};
+
+/**
+ * This object implements a parser for server side logs sent using
+ * Wildfire protocol (used by FirePHP). Logs are sent within a sequence
+ * of X-Wf-1-1-1-N headers and one log can be split into more headers
+ * if it's too long. See the protocol description at:
+ * http://www.firephp.org/Wiki/Reference/Protocol
+ *
+ * The result messages have the same structure as those produced by
+ * ChromeLogger parser, so they can be sent to the client the same way.
+ */
+var FirePHP =
+/** @lends FirePHP */
+{
+  id: "firePHP",
+
+  /**
+   * Returns true if given HTTP header carries (part of) a log message.
+   */
+  acceptsHeader: function(name) {
+    return messageHeaderRegExp.test(name);
+  },
+
+  /**
+   * Parse all Wildfire message headers collected from one HTTP response.
+   *
+   * @param {Array} headers List of {name, value} objects. The order
+   * doesn't matter, headers are sorted by the message index.
+   *
+   * @returns {Array} List of parsed messages.
+   */
+  parse: function(headers) {
+    let chunks = [];
+
+    for (let header of headers) {
+      let result = header.name.match(messageHeaderRegExp);
+      if (result) {
+        chunks.push({
+          index: parseInt(result[4], 10),
+          value: header.value
+        });
+      }
+    }
+
+    chunks.sort((a, b) => a.index - b.index);
+
+    let messages = [];
+    let buffer = null;
+
+    for (let chunk of chunks) {
+      let result = chunk.value.match(messageChunkRegExp);
+      if (!result) {
+        TraceError.sysout("firephp.parse; ERROR invalid chunk " +
+          chunk.index + ": " + chunk.value);
+        buffer = null;
+        continue;
+      }
+
+      let [, length, data, more] = result;
+
+      // The length is set only for the first part of a message.
+      if (length) {
+        buffer = "";
+      }
+
+      // Ignore orphan continuation chunks.
+      if (buffer === null) {
+        continue;
+      }
+
+      buffer += data;
+
+      if (more) {
+        continue;
+      }
+
+      let message = this.parseMessage(buffer);
+      if (message) {
+        messages.push(message);
+      }
+
+      buffer = null;
+    }
+
+    return messages;
+  },
+
+  /**
+   * Parse one complete (joined) log message. The message is JSON
+   * array with two items: meta data and the logged value.
+   */
+  parseMessage: function(json) {
+    let meta, body;
+
+    try {
+      [meta, body] = JSON.parse(json);
+    } catch (err) {
+      TraceError.sysout("firephp.parseMessage; EXCEPTION " + err, json);
+      return;
+    }
+
+    meta = meta || {};
+
+    let type = logTypes[meta.Type] || "log";
+    if (type == "group" && String(meta.Collapsed) == "true") {
+      type = "groupCollapsed";
+    }
+
+    let logs = [];
+    let file = meta.File;
+    let line = meta.Line;
+    let stacktrace = [];
+
+    switch (meta.Type) {
+      case "GROUP_START":
+      case "GROUP_END":
+        // The label is the group title, there is no body.
+        if (meta.Label) {
+          logs.push(meta.Label);
+        }
+        break;
+
+      case "TRACE":
+      case "EXCEPTION":
+        // The body describes the exception (or trace) and the location
+        // where it has been thrown.
+        body = body || {};
+        if (meta.Label) {
+          logs.push(meta.Label);
+        }
+        logs.push(body.Message || body.Class || body.Function || "");
+        file = body.File || file;
+        line = body.Line || line;
+        stacktrace = getStacktrace(body);
+        break;
+
+      default:
+        if (meta.Label) {
+          logs.push(meta.Label);
+        }
+        logs.push(body);
+    }
+
+    Trace.sysout("firephp.parseMessage; " + meta.Type, logs);
+
+    return {
+      logs: logs,
+      location: file ? { url: file, line: line } : undefined,
+      stacktrace: stacktrace,
+      type: type
+    };
+  }
+};
+
+// Helpers
+
+/**
+ * Returns list of frames for TRACE and EXCEPTION messages. The first
+ * frame is the place where the trace was created (or the exception
+ * was thrown), the rest comes from the 'Trace' array.
+ */
+function getStacktrace(body) {
+  let frames = [];
+
+  if (body.File) {
+    frames.push({
+      url: body.File,
+      line: body.Line,
+      functionName: body.Function || ""
+    });
+  }
+
+  let trace = Array.isArray(body.Trace) ? body.Trace : [];
+  for (let frame of trace) {
+    if (!frame || !frame.file) {
+      continue;
+    }
+
+    let functionName = frame["function"] || "";
+    if (frame["class"] && functionName) {
+      functionName = frame["class"] + (frame.type || "::") + functionName;
+    }
+
+    frames.push({
+      url: frame.file,
+      line: frame.line,
+      functionName: functionName
+    });
+  }
+
+  return frames;
+}
+
+// Registration
+LogParsers.registerParser(FirePHP);
+
+// Exports from this module
+exports.FirePHP = FirePHP;
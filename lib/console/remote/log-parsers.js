@@ -0,0 +1,131 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Trace, TraceError } = require("../../core/trace.js").get(module.id);
+
+// List of all registered parsers.
+var parsers = [];
+
+/**
+ * This object represents central register of parsers for server side
+ * logs. Every parser is responsible for specific HTTP response headers
+ * and converts their values into a list of messages that are sent
+ * to the client by {@LoggerActor}.
+ *
+ * A parser is an object with the following API:
+ *
+ * id {String} Unique ID of the parser.
+ * acceptsHeader(name) {Function} Returns true if the parser is able
+ *   to process an HTTP response header with given name.
+ * parse(headers) {Function} Parses list of accepted headers ({name, value}
+ *   objects, all coming from the same HTTP response) and returns a list
+ *   of messages.
+ *
+ * Every message returned from the parse method should have the
+ * following structure (see also normalizeMessage):
+ *
+ * logs {Array} List of logged values (the first one can be a string
+ *   with printf-like specifiers).
+ * type {String} Console API level, e.g. "log", "info", "warn", "error".
+ * location {Object} Optional {url, line} pair.
+ * stacktrace {Array} Optional list of server side stack frames. Every
+ *   frame is an object with url, line, column and functionName fields
+ *   (only url and line are required). The first frame is used as the
+ *   log location if the location isn't specified.
+ *
+ * Parsers are executed on the back-end and so they need to be
+ * registered within the server module loader (i.e. required from
+ * the actor module or from another custom actor).
+ */
+var LogParsers =
+/** @lends LogParsers */
+{
+  registerParser: function() {
+    parsers.push.apply(parsers, arguments);
+  },
+
+  unregisterParser: function(parser) {
+    let index = parsers.indexOf(parser);
+    if (index != -1) {
+      parsers.splice(index, 1);
+    }
+  },
+
+  getParsers: function() {
+    return parsers.slice();
+  },
+
+  /**
+   * Parse given HTTP response headers using all registered parsers.
+   *
+   * @param {Array} headers List of {name, value} objects representing
+   * all headers of one HTTP response.
+   *
+   * @returns {Array} List of normalized messages.
+   */
+  parse: function(headers) {
+    let result = [];
+
+    for (let parser of parsers) {
+      let accepted = headers.filter(header => {
+        return parser.acceptsHeader(header.name);
+      });
+
+      if (!accepted.length) {
+        continue;
+      }
+
+      // A broken log must not break other parsers.
+      let messages;
+      try {
+        messages = parser.parse(accepted) || [];
+      } catch (err) {
+        TraceError.sysout("logParsers.parse; EXCEPTION " + parser.id +
+          ": " + err, err);
+        continue;
+      }
+
+      Trace.sysout("logParsers.parse; " + parser.id + " parsed " +
+        messages.length + " message(s)", messages);
+
+      result.push(...messages.map(normalizeMessage));
+    }
+
+    return result;
+  }
+};
+
+// Helpers
+
+function normalizeMessage(msg) {
+  let result = {};
+  for (let p in msg) {
+    result[p] = msg[p];
+  }
+
+  let logs = msg.logs;
+  if (!Array.isArray(logs)) {
+    logs = (typeof logs == "undefined") ? [] : [logs];
+  }
+
+  result.logs = logs;
+  result.type = msg.type || "log";
+
+  let stacktrace = Array.isArray(msg.stacktrace) ? msg.stacktrace : [];
+  result.stacktrace = stacktrace.filter(frame => frame && frame.url);
+
+  if (!result.location && result.stacktrace.length) {
+    let frame = result.stacktrace[0];
+    result.location = { url: frame.url, line: frame.line };
+  }
+
+  return result;
+}
+
+// Exports from this module
+exports.LogParsers = LogParsers;
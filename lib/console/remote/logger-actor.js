@@ -10,20 +10,22 @@ const { Cc, Ci, Cu } = require("chrome");
 const { Trace, TraceError } = require("../../core/trace.js").get(module.id);
 const { target } = require("../../target.js");
 const { Http } = require("../../core/http.js");
-const { Dom } = require("../../core/dom.js");
-const { getInnerId } = require("sdk/window/utils");
+const { LogParsers } = require("./log-parsers.js");
+
+// Built-in parsers for server side logs.
+require("./chrome-logger.js");
+require("./firephp.js");
 
 const Events = require("sdk/system/events.js");
-const tabUtils = require("sdk/tabs/utils");
-const base64 = require("sdk/base64");
 
 const { DebuggerServer } = Cu.import("resource://gre/modules/devtools/dbg-server.jsm", {});
 const { devtools } = Cu.import("resource://gre/modules/devtools/Loader.jsm", {});
 const protocol = devtools["require"]("devtools/server/protocol");
-const { method, RetVal, ActorClass, Actor } = protocol;
+const { method, Arg, RetVal, ActorClass, Actor } = protocol;
 
-// TODO support FirePHP
-const acceptableLoggerHeaders = ["X-ChromeLogger-Data"];
+// Events need to be emitted using the same module instance as the one
+// used by the protocol library (see Actor.initialize).
+const events = devtools["require"]("sdk/event/core");
 
 /**
  * A method decorator that ensures the actor is in the expected state before
@@ -54,6 +56,13 @@ function expectState(expectedState, method) {
 
 const actorTypeName = "firebugLoggerActor";
 
+// Maximum number of logs kept while the tab is hidden.
+const maxBufferSize = 1000;
+
+// Request header used to tell the server that the client wants
+// to receive server side logs (opt-in handshake).
+const handshakeHeader = "X-ChromeLogger-Enabled";
+
 /**
  * @actor The actor is responsible for detecting server side logs
  * within HTTP headers and sending them to the client.
@@ -63,6 +72,16 @@ var LoggerActor = ActorClass(
 {
   typeName: actorTypeName,
 
+  /**
+   * Events sent to the client {@LoggerFront}.
+   */
+  events: {
+    "server-log": {
+      type: "serverLog",
+      message: Arg(0, "json")
+    }
+  },
+
   // Initialization
 
   initialize: function(conn, parent) {
@@ -72,14 +91,21 @@ var LoggerActor = ActorClass(
 
     this.parent = parent;
     this.state = "detached";
+    this.requestCounter = 0;
+    this.buffer = [];
+    this.options = {};
+    this.onModifyRequest = this.onModifyRequest.bind(this);
     this.onExamineResponse = this.onExamineResponse.bind(this);
+    this.onVisibilityChange = this.onVisibilityChange.bind(this);
 
+    Events.on("http-on-modify-request", this.onModifyRequest);
     Events.on("http-on-examine-response", this.onExamineResponse);
   },
 
   destroy: function() {
     Trace.sysout("loggerActor.destroy;", arguments);
 
+    Events.off("http-on-modify-request", this.onModifyRequest);
     Events.off("http-on-examine-response", this.onExamineResponse);
 
     if (this.state === "attached") {
@@ -96,6 +122,14 @@ var LoggerActor = ActorClass(
     Trace.sysout("loggerActor.attach;", arguments);
 
     this.state = "attached";
+
+    // Logs coming while the tab is hidden are buffered and sent
+    // as soon as the tab is visible again.
+    this.eventTarget = this.parent.chromeEventHandler || this.parent.window;
+    if (this.eventTarget) {
+      this.eventTarget.addEventListener("visibilitychange",
+        this.onVisibilityChange, true);
+    }
   }), {
     request: {},
     response: {
@@ -110,6 +144,13 @@ var LoggerActor = ActorClass(
     Trace.sysout("loggerActor.detach;", arguments);
 
     this.state = "detached";
+    this.buffer = [];
+
+    if (this.eventTarget) {
+      this.eventTarget.removeEventListener("visibilitychange",
+        this.onVisibilityChange, true);
+      this.eventTarget = null;
+    }
   }), {
     request: {},
     response: {
@@ -117,155 +158,361 @@ var LoggerActor = ActorClass(
     }
   }),
 
+  /**
+   * Set logger options. The client is responsible for sending
+   * the current options every time they change.
+   *
+   * @param {Object} options The following options are supported:
+   * handshake {Boolean} Send the handshake header with every request.
+   * token {String} Value of the handshake header. The token is sent
+   *   only to allowed domains (see below), other requests get "1".
+   * domains {Array} List of domains logs are accepted from. All domains
+   *   are accepted if the list is empty.
+   */
+  configure: method(function(options) {
+    Trace.sysout("loggerActor.configure;", options);
+
+    this.options = options || {};
+  }, {
+    request: {
+      options: Arg(0, "json")
+    },
+    response: {}
+  }),
+
   // HTTP Observer
-  onExamineResponse: function(event) {
+
+  onModifyRequest: function(event) {
+    if (this.state !== "attached" || !this.options.handshake) {
+      return;
+    }
+
     let { subject } = event;
     let httpChannel = subject.QueryInterface(Ci.nsIHttpChannel);
-    let tab = getTabFromHttpChannel(subject);
 
-    if (!tab) {
+    if (!this.isTabRequest(httpChannel)) {
       return;
     }
 
-    // Filter out responses coming from different tabs.
-    // xxxHonza: is there a better way how to get the current tab ID?
-    let linkedBrowser = this.parent._tabbrowser.mCurrentTab.linkedBrowser;
-    if (tab.linkedBrowser != linkedBrowser) {
-      Trace.sysout("loggerActor.onExamineResponse; different tab " +
-        tab.linkedBrowser + ", " + linkedBrowser);
+    httpChannel.setRequestHeader(handshakeHeader,
+      this.getHandshakeValue(httpChannel.URI), false);
+  },
+
+  onExamineResponse: function(event) {
+    let { subject } = event;
+    let httpChannel = subject.QueryInterface(Ci.nsIHttpChannel);
+
+    // Filter out responses coming from different tabs. Requests made
+    // by background tabs (e.g. XHRs) as well as requests coming from
+    // iframes are matched through the channel's load context.
+    if (!this.isTabRequest(httpChannel)) {
       return;
     }
 
-    let parsedMessages = [];
+    // Logs are accepted only from allowed domains (if specified).
+    if (!this.isAllowedHost(httpChannel.URI)) {
+      Trace.sysout("loggerActor.onExamineResponse; domain not allowed " +
+        httpChannel.URI.spec);
+      return;
+    }
 
-    httpChannel.visitResponseHeaders((header, value) => {
-      if (acceptableLoggerHeaders.indexOf(header) !== -1) {
-        let messages = this.parse(header, value);
-        parsedMessages.push(...messages);
-      }
+    // Collect all headers first. One log can be split into more
+    // headers (e.g. FirePHP) and every registered parser gets all
+    // headers it accepts at once.
+    let headers = [];
+    httpChannel.visitResponseHeaders((name, value) => {
+      headers.push({name: name, value: value});
     });
 
+    let parsedMessages = balanceGroups(this.parse(headers));
+
     if (!parsedMessages.length) {
       return;
     }
 
+    // Every log is sent together with info about the HTTP request,
+    // so the client can group logs coming from the same response.
+    let request = {
+      id: ++this.requestCounter,
+      method: httpChannel.requestMethod,
+      url: httpChannel.URI.spec,
+      status: httpChannel.responseStatus,
+      statusText: httpChannel.responseStatusText
+    };
+
     // better variable names for parsedMessages, parsedMessage and msg
     // (probably a little piece of refactoring)
     for (let message of parsedMessages) {
-      this.sendMessage(message, tab);
+      message.request = request;
+      message.timeStamp = Date.now();
+
+      if (this.isTabHidden()) {
+        this.bufferMessage(message);
+      } else {
+        this.sendMessage(message);
+      }
     }
   },
 
-  // TODO parse should invoke the parse method of a dedicated module.
-  // Example:
-  parse: function(header, value) {
-    let data = JSON.parse(base64.decode(value));
-    let parsedMessage = [];
-    let columnMap = this.getColumnMap(data);
-
-    for (let row of data.rows) {
-      let backtrace = row[columnMap.get("backtrace")];
-      let label = row[columnMap.get("label")];
-      let rawLogs = row[columnMap.get("log")];
-      let type = row[columnMap.get("type")] || "log";
-
-      // new version without label
-      let newVersion = false;
-      if (data.columns.indexOf("label") === -1) {
-        newVersion = true;
+  /**
+   * Returns true if given HTTP channel has been created for the tab
+   * this actor is attached to (including all its iframes).
+   */
+  isTabRequest: function(httpChannel) {
+    let loadContext = Http.getRequestLoadContext(httpChannel);
+    if (!loadContext) {
+      return false;
+    }
+
+    try {
+      let browser = this.parent._browser;
+      if (browser && loadContext.topFrameElement == browser) {
+        return true;
       }
+    } catch (err) {
+      // topFrameElement isn't available for all load contexts.
+    }
 
-      // if this is the old version do some converting
-      if (!newVersion) {
-        let showLabel = label && typeof label === "string";
+    try {
+      let win = this.parent.window;
+      if (win && loadContext.topWindow == win) {
+        return true;
+      }
+    } catch (err) {
+      // topWindow throws e.g. for requests without a window.
+    }
 
-        rawLogs = [rawLogs];
+    return false;
+  },
 
-        if (showLabel) {
-          rawLogs.unshift(label);
-        }
-      }
+  /**
+   * Returns value of the handshake header for given URI. The token
+   * is a secret that unlocks logging on the server, so it's sent only
+   * if there is a list of allowed domains and the URI matches it.
+   * Requests to other hosts (e.g. third party CDNs or analytics)
+   * get just "1".
+   */
+  getHandshakeValue: function(uri) {
+    let domains = this.options.domains;
+    if (!this.options.token || !domains || !domains.length ||
+        !this.isAllowedHost(uri)) {
+      return "1";
+    }
 
-      // xxxHonza: can we simplify the url and line info extraction?
-      let result = backtrace.match(/\s*(\d+)\:(\d+)$/);
-      let location;
-      if (result.length == 3) {
-        location = {
-          url: backtrace.slice(0, -result[0].length),
-          line: result[1]
-        };
-      }
+    return this.options.token;
+  },
+
+  /**
+   * Returns true if given URI matches the list of allowed domains.
+   * Sub-domains of an allowed domain are also accepted.
+   */
+  isAllowedHost: function(uri) {
+    let domains = this.options.domains;
+    if (!domains || !domains.length) {
+      return true;
+    }
 
-      parsedMessage.push({
-        logs: rawLogs,
-        location: location,
-        type: type
-      });
+    let host;
+    try {
+      host = uri.host.toLowerCase();
+    } catch (err) {
+      // e.g. data: and about: URIs don't have a host.
+      return false;
     }
 
-    return parsedMessage;
+    return domains.some(domain => {
+      domain = domain.toLowerCase().replace(/^\*?\./, "");
+      return (host == domain || host.endsWith("." + domain));
+    });
+  },
+
+  // Buffering
+
+  isTabHidden: function() {
+    let win = this.parent.window;
+    return !!(win && win.document && win.document.hidden);
+  },
+
+  bufferMessage: function(message) {
+    this.buffer.push(message);
+
+    // Keep only the most recent logs.
+    if (this.buffer.length > maxBufferSize) {
+      this.buffer.splice(0, this.buffer.length - maxBufferSize);
+    }
   },
 
-  getColumnMap: function(data) {
-    let columnMap = new Map();
-    let columnName;
+  flushBuffer: function() {
+    let buffer = this.buffer;
+    this.buffer = [];
 
-    for (let key in data.columns) {
-      columnName = data.columns[key];
-      columnMap.set(columnName, key);
+    for (let message of buffer) {
+      this.sendMessage(message);
     }
+  },
+
+  onVisibilityChange: function(event) {
+    if (!this.buffer.length || this.isTabHidden()) {
+      return;
+    }
+
+    Trace.sysout("loggerActor.onVisibilityChange; flush " +
+      this.buffer.length + " buffered log(s)");
 
-    return columnMap;
+    this.flushBuffer();
+  },
+
+  /**
+   * Parse server side logs from given HTTP response headers.
+   * The actual parsing is done by parsers registered in
+   * {@LogParsers} (see e.g. chrome-logger.js or firephp.js).
+   */
+  parse: function(headers) {
+    return LogParsers.parse(headers);
   },
 
-  sendMessage: function(msg, tab) {
+  /**
+   * Send parsed server side log to the client (see {@LoggerFront}).
+   * The message has the same structure as 'consoleAPICall' packet
+   * so, the client can render it using the built-in Console
+   * message widgets.
+   */
+  sendMessage: function(msg) {
     Trace.sysout("loggerActor.sendMessage; raw: " + msg.logs.join(", "), msg);
 
-    let formatted = format(msg);
+    // Logs are sent only to attached clients.
+    if (this.state !== "attached") {
+      return;
+    }
 
-    // TODO: use the ___class_name property for object customization (#101).
-    for (let log of formatted.logs) {
-      if (typeof log == "object") {
-        delete log.___class_name;
+    // The first argument of an assert is the asserted expression
+    // and the log is displayed only if the assertion fails.
+    if (msg.type == "assert") {
+      if (msg.logs.shift()) {
+        return;
       }
     }
 
-    let packet = {
-      from: this.actorID,
-      type: msg.type,
-      message: {
-        category: "server",
-        innerID: getInnerId(this.parent.window),
-        level: msg.type,
-        filename: msg.location.url,
-        lineNumber: msg.location.line,
-        columnNumber: 0,
-        private: false,
-        timeStamp: Date.now(),
-        arguments: formatted.logs,
-        styles: formatted.styles,
-      }
+    let formatted = format(msg);
+    let location = msg.location || {};
+
+    // Objects logged by ChromeLogger have '___class_name' property,
+    // which is used to display the server side class name on the client
+    // (see {@ServerObject} rep). Make sure the property is the first one
+    // so, it's always part of the object preview.
+    formatted.logs = formatted.logs.map(moveClassNameFirst);
+
+    let message = {
+      category: "server",
+      level: msg.type,
+      filename: location.url,
+      lineNumber: location.line,
+      columnNumber: 0,
+      private: false,
+      timeStamp: msg.timeStamp || Date.now(),
+      arguments: formatted.logs,
+      styles: formatted.styles,
+      request: msg.request,
+      stacktrace: (msg.stacktrace || []).map(frame => {
+        return {
+          filename: frame.url,
+          lineNumber: frame.line,
+          columnNumber: frame.column || 0,
+          functionName: frame.functionName || ""
+        };
+      })
     };
 
-    // Send raw data to the client {@LoggerFront}
-    // TODO send to our own Front rather than to the WebConsole one.
-    // this.conn.send(packet);
+    events.emit(this, "server-log", this.createGrips(message));
+  },
+
+  /**
+   * Logged objects must be sent to the client as grips, so they can
+   * be inspected the same way as objects logged on the client side.
+   * The Console actor is responsible for creating them (and also
+   * for releasing them when the Console panel is cleared).
+   */
+  createGrips: function(message) {
+    // xxxHonza: there is no API to get the Console actor for the
+    // current tab. Note that extra actors are created when the tab
+    // actor form is requested, which happens before our actor
+    // is attached.
+    let extraActors = this.parent._extraActors || {};
+    let consoleActor = extraActors.consoleActor;
+
+    if (consoleActor) {
+      let result = consoleActor.prepareConsoleMessageForRemote(message);
+      result.category = message.category;
+      return result;
+    }
 
-    // Log into the console using standard API now.
-    // xxxHonza: custom logging should be implemented
-    // by {@LoggerFront} object.
-    let consoleEvent = clone(packet.message);
-    consoleEvent.wrappedJSObject = consoleEvent;
+    TraceError.sysout("loggerActor.createGrips; ERROR no console actor!");
 
-    Services.obs.notifyObservers(consoleEvent,
-      "console-api-log-event", null);
-  },
+    // Send objects as strings at least.
+    message.arguments = message.arguments.map(arg => {
+      return (arg && typeof arg == "object") ? JSON.stringify(arg) : arg;
+    });
+
+    return message;
+  }
 });
 
 // Helpers
 
-function clone(obj = {}) {
-  return JSON.parse(JSON.stringify(obj));
+/**
+ * Make sure that groups opened by logs coming from one HTTP response
+ * are also closed. Unbalanced groups would otherwise indent all other
+ * logs in the Console panel. Orphan 'groupEnd' logs are removed.
+ */
+function balanceGroups(messages) {
+  let result = [];
+  let depth = 0;
+
+  for (let msg of messages) {
+    if (msg.type == "group" || msg.type == "groupCollapsed") {
+      depth++;
+    } else if (msg.type == "groupEnd") {
+      if (!depth) {
+        continue;
+      }
+      depth--;
+    }
+
+    result.push(msg);
+  }
+
+  while (depth--) {
+    result.push({logs: [], type: "groupEnd"});
+  }
+
+  return result;
+}
+
+/**
+ * Returns a copy of given value where every object has the
+ * '___class_name' property (if any) in the first place.
+ */
+function moveClassNameFirst(value) {
+  if (!value || typeof value != "object") {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(moveClassNameFirst);
+  }
+
+  let result = {};
+  if ("___class_name" in value) {
+    result.___class_name = value.___class_name;
+  }
+
+  for (let name in value) {
+    if (name != "___class_name") {
+      result[name] = moveClassNameFirst(value[name]);
+    }
+  }
+
+  return result;
 }
 
 /**
@@ -273,13 +520,16 @@ function clone(obj = {}) {
  * format the logs according to them.
  */
 function format(msg) {
-  if (!msg.logs || !msg.logs[0]) {
-    return;
-  }
-
   // Initialize the styles array (used for the "%c" specifier).
   msg.styles = [];
 
+  // Only a string can contain specifiers (FirePHP often logs an object
+  // as the first argument).
+  if (!msg.logs || typeof msg.logs[0] != "string") {
+    msg.logs = msg.logs || [];
+    return msg;
+  }
+
   // Remove and get the first log (in which the specifiers are).
   let firstString = msg.logs.shift();
   // Contains all the strings split by the specifiers
@@ -383,44 +633,6 @@ function format(msg) {
   return msg;
 }
 
-function getTabFromHttpChannel(httpChannel) {
-  let topFrame = Http.getTopFrameElementForRequest(httpChannel);
-  if (!topFrame) {
-    return;
-  }
-
-  // In case of in-process debugging (no e10s) the result topFrame
-  // represents the content window.
-  let winType = topFrame.Window;
-  if (typeof winType != "undefined" && topFrame instanceof winType) {
-    return tabUtils.getTabForContentWindow(topFrame);
-  }
-
-  // ... otherwise the topFrame represents the content window parent frame.
-  let notificationBox = Dom.getAncestorByTagName(topFrame, "notificationbox");
-  if (!notificationBox) {
-    Trace.sysout("loggerActor.getTabFromHttpChannel; " +
-      "notificationbox not found");
-    return;
-  }
-
-  return notificationBox.ownerDocument.querySelector(
-    "#tabbrowser-tabs [linkedpanel='" + notificationBox.id + "']");
-}
-
-// Note: Future work for special rendering.
-/*DebuggerServer.ObjectActorPreviewers.Object.unshift(
-  function ChromeLoggerRemoteObject({obj, threadActor}, aGrip) {
-    if (!obj.__class_name)
-      return false;
-    aGrip.preview = {
-      kind: "ChromeLoggerRemoteObject",
-      text: threadActor.createValueGrip(`[Remote ${obj.___class_name}]`)
-    };
-    return true;
-  }
-); */
-
 // Registration
 
 // xxxHonza: remote device debugging requires dynamic actor installation.
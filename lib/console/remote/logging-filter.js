@@ -8,10 +8,15 @@ var main = require("../../main.js");
 
 const { Ci, Cu, Cc } = require("chrome");
 const { Trace, TraceError } = require("../../core/trace.js").get(module.id);
+const { Class } = require("sdk/core/heritage");
 const { ToolbarButton } = require("../../chrome/panelToolbar.js");
+const { Menu } = require("../../chrome/menu.js");
 
 const { Services } = Cu.import("resource://gre/modules/Services.jsm", {});
 
+// Prefix of filter preferences used by the Console panel in the toolbox.
+const filterPrefsPrefix = "devtools.webconsole.filter.";
+
 // Filter preferences for server side logs
 const prefs = [
   "servererror",
@@ -27,18 +32,31 @@ const prefs = [
  * {@LoggerActor} actor. The actor is responsible for hooking
  * HTTP responses and detecting possible logs in the headers.
  *
- * xxxHonza: needs refactoring, there should probably be one instance
- * for each {@ConsoleOverlay} instance.
- *
- * xxxHonza: test all server filters TESTME
+ * There is one instance for each {@ConsoleOverlay} instance, so
+ * toolboxes in different browser windows don't share the button
+ * state. Filter values are persisted in preferences.
  */
-var RemoteLoggingFilter =
+const RemoteLoggingFilter = Class(
 /** @lends RemoteLoggingFilter */
 {
-  init: function(consoleOverlay) {
-    Trace.sysout("remoteLoggingFilter.init;");
+  // Initialization
 
-    let frame = getFrame(consoleOverlay);
+  initialize: function(consoleOverlay) {
+    Trace.sysout("remoteLoggingFilter.initialize;");
+
+    this.overlay = consoleOverlay;
+    this.button = null;
+  },
+
+  destroy: function() {
+    this.update(false);
+  },
+
+  /**
+   * Load filter values from preferences. Filters are on by default.
+   */
+  initPrefs: function() {
+    let frame = this.getFrame();
 
     for (let pref of prefs) {
       let prefName = frame._filterPrefsPrefix + pref;
@@ -50,31 +68,56 @@ var RemoteLoggingFilter =
         value = Services.prefs.getBoolPref(prefName);
       } catch (err) {
         // Default value is true
-        value = true
+        value = true;
         Services.prefs.setBoolPref(prefName, value);
       }
 
       frame.filterPrefs[pref] = value;
     }
+  },
+
+  /**
+   * Hook the filter button. Clicks on the button and commands of its
+   * menu items (individual filters) are handled by the Console panel
+   * itself, the same way as for the built-in filter buttons.
+   */
+  initButton: function(button) {
+    let frame = this.getFrame();
 
-    let doc = consoleOverlay.getPanelDocument();
-    let button = doc.getElementById("firebug-serverlog-filter");
+    this.initPrefs();
 
     button.addEventListener("click", frame._toggleFilter, false);
 
-    let someChecked = false;
     let severities = button.querySelectorAll("menuitem[prefKey]");
-    Array.forEach(severities, function(menuItem) {
+    for (let menuItem of severities) {
       menuItem.addEventListener("command", frame._toggleFilter, false);
+    }
+
+    this.updateButton();
+  },
+
+  /**
+   * Update checked state of the button and its menu items according
+   * to the current filter values.
+   */
+  updateButton: function() {
+    if (!this.button) {
+      return;
+    }
+
+    let frame = this.getFrame();
+    let someChecked = false;
 
+    let severities = this.button.querySelectorAll("menuitem[prefKey]");
+    for (let menuItem of severities) {
       let prefKey = menuItem.getAttribute("prefKey");
-      let checked = frame.filterPrefs[prefKey];
+      let checked = !!frame.filterPrefs[prefKey];
       menuItem.setAttribute("checked", checked);
       someChecked = someChecked || checked;
-    }, this);
+    }
 
-    button.setAttribute("checked", someChecked);
-    button.setAttribute("aria-pressed", someChecked);
+    this.button.setAttribute("checked", someChecked);
+    this.button.setAttribute("aria-pressed", someChecked);
   },
 
   /**
@@ -82,21 +125,27 @@ var RemoteLoggingFilter =
    * is available when the Firebug theme is active.
    * The button can be used to filter messages coming from the server.
    */
-  update: function(consoleOverlay, apply) {
-    Trace.sysout("remoteLoggingFilter.updateButton;");
-
-    let doc = consoleOverlay.getPanelDocument();
-    let toolbar = doc.querySelector(
-      ".hud-console-filter-toolbar > .devtools-toolbarbutton-group");
-
-    // Set the tab index to be the next one after the last existing filter.
-    let lastFilter = toolbar.lastChild;
-    let tabIndex = parseInt(lastFilter.getAttribute("tabindex"), 10) + 1;
+  update: function(apply) {
+    Trace.sysout("remoteLoggingFilter.update; " + apply);
 
     // Create new toolbar button with sub-menu options (individual filters).
     // The button is removed when Firebug theme is deactivated.
     if (apply) {
-      let button = new ToolbarButton({
+      // The Console panel might not be fully initialized yet, the button
+      // is created again from {@ConsoleOverlay.onReady} in such case.
+      if (this.button || !this.getFrame()) {
+        return;
+      }
+
+      let doc = this.overlay.getPanelDocument();
+      let toolbar = doc.querySelector(
+        ".hud-console-filter-toolbar > .devtools-toolbarbutton-group");
+
+      // Set the tab index to be the next one after the last existing filter.
+      let lastFilter = toolbar.lastChild;
+      let tabIndex = parseInt(lastFilter.getAttribute("tabindex"), 10) + 1;
+
+      let toolbarButton = new ToolbarButton({
         id: "firebug-serverlog-filter",
         toolbar: toolbar,
         type: "menu-button",
@@ -133,13 +182,19 @@ var RemoteLoggingFilter =
           type: "checkbox",
           _prefKey: "serverlog",
           autocheck: false,
-        }]
+        },
+        "-",
+        Menu.optionMenu("console.option.label.groupByRequest",
+          "serverLogGroupByRequest",
+          "console.option.tip.groupByRequest")
+        ]
       });
-    } else {
-      let persistButton = doc.getElementById("firebug-serverlog-filter");
-      if (persistButton) {
-        persistButton.remove();
-      }
+
+      this.button = toolbarButton.button;
+      this.initButton(this.button);
+    } else if (this.button) {
+      this.button.remove();
+      this.button = null;
     }
   },
 
@@ -148,24 +203,67 @@ var RemoteLoggingFilter =
    * When a page is reloaded and the "Server" filter is unchecked,
    * the logs still appear.
    * Calling this function adjust the visibility according to the preference.
-   *
    */
-  applyFilters: function(consoleOverlay) {
-    let frame = getFrame(consoleOverlay);
+  applyFilters: function() {
+    let frame = this.getFrame();
     for (let pref of prefs) {
-      let prefName = frame._filterPrefsPrefix + pref;
-      let value = Services.prefs.getBoolPref(prefName);
-      frame.setFilterState(pref, value);
+      frame.setFilterState(pref, this.isEnabled(pref));
+    }
+  },
+
+  // Filters
+
+  isEnabled: function(pref) {
+    let frame = this.getFrame();
+    try {
+      return Services.prefs.getBoolPref(frame._filterPrefsPrefix + pref);
+    } catch (err) {
+      return true;
     }
   },
 
-  // Commands
-};
+  /**
+   * Set value of given server filter (e.g. 'servererror'). Visibility
+   * of existing messages is updated and the value is persisted.
+   */
+  setFilter: function(pref, value) {
+    if (prefs.indexOf(pref) == -1) {
+      TraceError.sysout("remoteLoggingFilter.setFilter; ERROR unknown " +
+        "filter: " + pref);
+      return;
+    }
+
+    let frame = this.getFrame();
+    frame.setFilterState(pref, value);
+
+    this.updateButton();
+  },
+
+  // Accessors
+
+  getFrame: function() {
+    let panel = this.overlay.panel;
+    return (panel && panel.hud) ? panel.hud.ui : null;
+  }
+});
 
 // Helpers
-function getFrame(consoleOverlay) {
-  return consoleOverlay.panel.hud.ui;
+
+/**
+ * Returns true if at least one of the server filters is on.
+ */
+function isServerFilterEnabled() {
+  return prefs.some(pref => {
+    try {
+      return Services.prefs.getBoolPref(filterPrefsPrefix + pref);
+    } catch (err) {
+      // Default value is true (see RemoteLoggingFilter.initPrefs).
+      return true;
+    }
+  });
 }
 
 // Exports from this module
 exports.RemoteLoggingFilter = RemoteLoggingFilter;
+exports.isServerFilterEnabled = isServerFilterEnabled;
+exports.filterPrefsPrefix = filterPrefsPrefix;
@@ -10,31 +10,47 @@ const { Ci, Cu, Cc } = require("chrome");
 const { Http } = require("../../core/http.js");
 const { Dom } = require("../../core/dom.js");
 const { Trace, TraceError } = require("../../core/trace.js").get(module.id);
-const { ConsoleMessage } = require("../console-message.js");
 const { LoggerFront } = require("./logger-front.js");
+const { isServerFilterEnabled, filterPrefsPrefix } = require("./logging-filter.js");
+const { ServerLogMessage, ServerTableMessage, ServerRequestMessage } = require("./server-log-message.js");
 
 const { gDevTools } = Cu.import("resource:///modules/devtools/gDevTools.jsm", {});
 const { devtools } = Cu.import("resource://gre/modules/devtools/Loader.jsm", {});
 const { console } = Cu.import("resource://gre/modules/devtools/Console.jsm", {});
+const { Services } = Cu.import("resource://gre/modules/Services.jsm", {});
 
 // Calling devtools.require() does not work. For some reasons, the path
 // provided will be checked according to the addons-sdk path logic.
 const { Messages, Widgets } = devtools["require"]("devtools/webconsole/console-output");
 
+const { prefs } = require("sdk/simple-prefs");
+const simplePrefs = require("sdk/simple-prefs");
 const Events = require("sdk/system/events.js");
 const base64 = require("sdk/base64");
 const tabUtils = require("sdk/tabs/utils");
 
-// TODO support FirePHP
-const acceptableLoggerHeaders = ["X-ChromeLogger-Data"];
-
 // Should be removed as soon as the Hack is removed.
 const { DebuggerServer } = Cu.import("resource://gre/modules/devtools/dbg-server.jsm", {});
 
-const loggers = new WeakMap();
+const loggers = new Map();
+
+// Preferences affecting the logger configuration (see configure).
+const loggerPrefs = [
+  "serverLogHandshake",
+  "serverLogToken",
+  "serverLogAllowedDomains"
+];
+
+// The last request header displayed in a Console panel (used when
+// server logs are grouped by request).
+const requestMessages = new WeakMap();
 
 /**
- * TODO: description
+ * This object is responsible for receiving server side logs on the
+ * client side. A {@LoggerFront} is created for every toolbox and logs
+ * sent by the {@LoggerActor} are rendered in the Console panel. Since
+ * the logs are sent over the debugger protocol, it works for remote
+ * targets as well.
  */
 var RemoteLogging =
 /** @lends RemoteLogging */
@@ -46,11 +62,19 @@ var RemoteLogging =
 
     this.onToolboxReady = this.onToolboxReady.bind(this);
     this.onToolboxDestroyed = this.onToolboxDestroyed.bind(this);
+    this.onPrefChanged = this.onPrefChanged.bind(this);
 
     // As soon as the toolbox is ready the 'logger' actor is attached
     // to receive packets about server side logs.
     gDevTools.on("toolbox-ready", this.onToolboxReady);
     gDevTools.on("toolbox-destroyed", this.onToolboxDestroyed);
+
+    // Loggers are re-configured when server filters or logging
+    // options change.
+    Services.prefs.addObserver(filterPrefsPrefix + "server", this, false);
+    for (let pref of loggerPrefs) {
+      simplePrefs.on(pref, this.onPrefChanged);
+    }
   },
 
   shutdown: function(reason) {
@@ -58,6 +82,11 @@ var RemoteLogging =
 
     gDevTools.off("toolbox-ready", this.onToolboxReady);
     gDevTools.off("toolbox-destroyed", this.onToolboxDestroyed);
+
+    Services.prefs.removeObserver(filterPrefsPrefix + "server", this);
+    for (let pref of loggerPrefs) {
+      simplePrefs.removeListener(pref, this.onPrefChanged);
+    }
   },
 
   // Toolbox Events
@@ -68,8 +97,14 @@ var RemoteLogging =
     // Attach to the logger actor.
     let target = toolbox.target;
     let logger = LoggerFront(target.client, target.form);
+
+    logger.onServerLog = this.onServerLog.bind(this, toolbox);
+    logger.on("server-log", logger.onServerLog);
+
     logger.attach().then(() => {
       Trace.sysout("remoteLogging.onToolboxReady; logger attached", arguments);
+
+      return this.configure(logger);
     });
 
     loggers.set(target, logger);
@@ -78,10 +113,145 @@ var RemoteLogging =
   onToolboxDestroyed: function(eventId, target) {
     Trace.sysout("remoteLogging.onToolboxDestroyed;", target);
 
-    // xxxHonza: it's too late now and the actor will be destroyed
-    // automatically anyway.
-    //let logger = loggers.get(target);
-    //logger.detach();
+    let logger = loggers.get(target);
+    if (!logger) {
+      return;
+    }
+
+    // xxxHonza: it's too late to detach now and the actor will be
+    // destroyed automatically anyway. Just stop listening.
+    logger.off("server-log", logger.onServerLog);
+    loggers.delete(target);
+  },
+
+  // Configuration
+
+  /**
+   * Send the current options to the logger actor. The handshake header
+   * is sent only if the server filter in the Console panel is on.
+   */
+  configure: function(logger) {
+    let domains = (prefs["serverLogAllowedDomains"] || "").split(/[\s,]+/);
+
+    return logger.configure({
+      handshake: !!prefs["serverLogHandshake"] && isServerFilterEnabled(),
+      token: prefs["serverLogToken"] || "",
+      domains: domains.filter(domain => !!domain)
+    }).then(null, err => {
+      TraceError.sysout("remoteLogging.configure; ERROR " + err, err);
+    });
+  },
+
+  configureAll: function() {
+    for (let logger of loggers.values()) {
+      this.configure(logger);
+    }
+  },
+
+  onPrefChanged: function(prefName) {
+    this.configureAll();
+  },
+
+  // nsIObserver
+
+  observe: function(subject, topic, data) {
+    if (topic == "nsPref:changed") {
+      this.configureAll();
+    }
+  },
+
+  // Logger Events
+
+  /**
+   * Render received server side log in the Console panel. If the panel
+   * isn't opened yet, the log is rendered as soon as it's ready.
+   */
+  onServerLog: function(toolbox, packet) {
+    Trace.sysout("remoteLogging.onServerLog;", packet);
+
+    let chrome = main.Firebug.getChrome(toolbox);
+    chrome.getPanelWhenReady("webconsole").then(panel => {
+      let hud = panel.hud;
+      if (!hud) {
+        TraceError.sysout("remoteLogging.onServerLog; ERROR no hud!");
+        return;
+      }
+
+      this.logMessage(toolbox, hud.ui, packet);
+    });
+  },
+
+  /**
+   * Append server side log into the Console output. Server groups
+   * share the group depth with groups logged on the client side,
+   * so all logs in between are nested.
+   */
+  logMessage: function(toolbox, ui, packet) {
+    let requestMessage = this.getRequestMessage(toolbox, ui, packet);
+
+    switch (packet.level) {
+      case "groupEnd":
+        if (ui.groupDepth > 0) {
+          ui.groupDepth--;
+        }
+        break;
+
+      case "group":
+      case "groupCollapsed":
+        ui.output.addMessage(new ServerLogMessage(packet, requestMessage));
+        ui.groupDepth++;
+        break;
+
+      case "table":
+        ui.output.addMessage(new ServerTableMessage(packet, requestMessage));
+        break;
+
+      default:
+        ui.output.addMessage(new ServerLogMessage(packet, requestMessage));
+    }
+  },
+
+  /**
+   * Returns header message for the HTTP request the log comes from.
+   * The header is created for the first log of every request if
+   * server logs are grouped by request (see 'serverLogGroupByRequest'
+   * option available in the Server filter menu).
+   */
+  getRequestMessage: function(toolbox, ui, packet) {
+    let request = packet.request;
+    if (!prefs["serverLogGroupByRequest"] || !request) {
+      requestMessages.delete(ui);
+      return null;
+    }
+
+    let requestMessage = requestMessages.get(ui);
+    if (requestMessage && requestMessage.request.id == request.id) {
+      return requestMessage;
+    }
+
+    requestMessage = new ServerRequestMessage(request,
+      this.onRequestClick.bind(this, toolbox, request));
+
+    ui.output.addMessage(requestMessage);
+    requestMessages.set(ui, requestMessage);
+
+    return requestMessage;
+  },
+
+  /**
+   * Select clicked request in the Network panel.
+   */
+  onRequestClick: function(toolbox, request) {
+    toolbox.selectTool("netmonitor").then(() => {
+      let chrome = main.Firebug.getChrome(toolbox);
+      let overlay = chrome.getOverlay("netmonitor");
+      if (!overlay) {
+        TraceError.sysout("remoteLogging.onRequestClick; ERROR no overlay!");
+        return;
+      }
+
+      overlay.selectRequest(request.url, request.method);
+    });
   }
 };
 
@@ -0,0 +1,277 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Cu } = require("chrome");
+const { Trace, TraceError } = require("../../core/trace.js").get(module.id);
+const { Reps } = require("../../reps/reps.js");
+const { ServerObject } = require("../../reps/server-object.js");
+
+const { devtools } = Cu.import("resource://gre/modules/devtools/Loader.jsm", {});
+const { Messages, Widgets } = devtools["require"]("devtools/webconsole/console-output");
+
+const Heritage = require("sdk/core/heritage");
+const Simple = Messages.Simple;
+const ConsoleGeneric = Messages.ConsoleGeneric;
+const ConsoleTable = Messages.ConsoleTable;
+
+const XHTML_NS = "http://www.w3.org/1999/xhtml";
+
+// Map of console API levels to server filter preferences. Other
+// levels (log, group, table, etc.) are filtered as 'serverlog'.
+const levelToFilter = {
+  "error": "servererror",
+  "assert": "servererror",
+  "warn": "serverwarn",
+  "info": "serverinfo"
+};
+
+/**
+ * This object represents a Console message for server side logs.
+ * Instances are created for packets received from {@LoggerFront}
+ * and placed directly into {@WebConsole} output queue.
+ *
+ * Rendered messages are marked with 'server' category and filter
+ * attributes (e.g. filter='serverwarn'), so they can be filtered
+ * using {@RemoteLoggingFilter}.
+ *
+ * @param {Object} packet The message received from the back-end. It has
+ * the same structure as 'consoleAPICall' packet.
+ * @param {ServerRequestMessage} requestMessage Optional header of the
+ * HTTP request the log is grouped under.
+ */
+function ServerLogMessage(packet, requestMessage) {
+  ConsoleGeneric.call(this, packet);
+
+  this.packet = packet;
+  this.requestMessage = requestMessage;
+}
+
+ServerLogMessage.prototype = Heritage.extend(ConsoleGeneric.prototype,
+/** @lends ServerLogMessage */
+{
+  render: function() {
+    ConsoleGeneric.prototype.render.apply(this, arguments);
+
+    markServerMessage(this);
+    this._renderStacktrace();
+
+    return this;
+  },
+
+  /**
+   * Render server side backtrace (if there is more than one frame)
+   * as an expandable stack under the log. The first frame is already
+   * displayed as the log location.
+   */
+  _renderStacktrace: function() {
+    let stacktrace = this.packet.stacktrace;
+    if (!stacktrace || stacktrace.length < 2) {
+      return;
+    }
+
+    let body = this.element.querySelector(".message-body");
+    if (!body) {
+      return;
+    }
+
+    let doc = this.document;
+
+    let twisty = doc.createElementNS(XHTML_NS, "a");
+    twisty.className = "theme-twisty server-stacktrace-toggle";
+    twisty.setAttribute("href", "#");
+    body.insertBefore(twisty, body.firstChild);
+
+    let container = doc.createElementNS(XHTML_NS, "div");
+    container.className = "server-stacktrace";
+    container.hidden = true;
+    body.appendChild(container);
+
+    // Frames are rendered by the built-in widget, so each of them
+    // has a clickable file:line location.
+    let widget = new Widgets.Stacktrace(this, stacktrace).render();
+    container.appendChild(widget.element);
+
+    twisty.addEventListener("click", event => {
+      event.preventDefault();
+
+      container.hidden = !container.hidden;
+      if (container.hidden) {
+        twisty.removeAttribute("open");
+      } else {
+        twisty.setAttribute("open", "true");
+      }
+    }, false);
+  },
+
+  /**
+   * Objects coming from the server can be instances of server side
+   * classes (see {@ServerObject} rep). These are rendered using
+   * Firebug reps, all the other objects are rendered by the
+   * built-in widgets.
+   */
+  _renderObjectActor: function(objectActor, options) {
+    let rep = Reps.getRep(objectActor);
+    if (rep !== ServerObject) {
+      return ConsoleGeneric.prototype._renderObjectActor.apply(this, arguments);
+    }
+
+    let container = this.document.createElementNS(XHTML_NS, "span");
+    let node = rep.tag.append({object: objectActor}, container, rep);
+
+    // Clicking the object expands it in the side panel the same
+    // way as for objects logged on the client side.
+    node.addEventListener("click", (event) => {
+      this.output.openVariablesView({
+        label: rep.getTitle(objectActor),
+        objectActor: objectActor,
+        autofocus: true,
+      });
+    }, true);
+
+    return container;
+  }
+});
+
+/**
+ * This object represents a Console message for server side logs
+ * with 'table' type. Tabular data are rendered by the built-in
+ * {@ConsoleTable} widget.
+ *
+ * @param {Object} packet The message received from the back-end.
+ * @param {ServerRequestMessage} requestMessage Optional request header.
+ */
+function ServerTableMessage(packet, requestMessage) {
+  ConsoleTable.call(this, packet);
+
+  this.packet = packet;
+  this.requestMessage = requestMessage;
+}
+
+ServerTableMessage.prototype = Heritage.extend(ConsoleTable.prototype,
+/** @lends ServerTableMessage */
+{
+  render: function() {
+    ConsoleTable.prototype.render.apply(this, arguments);
+
+    markServerMessage(this);
+
+    return this;
+  }
+});
+
+/**
+ * This object represents a collapsible header displayed above server
+ * logs coming from the same HTTP response (used when server logs are
+ * grouped by request, see {@RemoteLoggingFilter}). The header displays
+ * the request method, URL and response status.
+ *
+ * @param {Object} request Request info sent by {@LoggerActor}.
+ * @param {Function} linkCallback Executed when the user clicks
+ * the header label.
+ */
+function ServerRequestMessage(request, linkCallback) {
+  let label = request.method + " " + request.url + " " + request.status +
+    (request.statusText ? " " + request.statusText : "");
+
+  Simple.call(this, label, {
+    category: "webdev",
+    severity: "log",
+    timestamp: Date.now(),
+    linkCallback: linkCallback
+  });
+
+  this.request = request;
+  this.rows = [];
+  this.collapsed = false;
+}
+
+ServerRequestMessage.prototype = Heritage.extend(Simple.prototype,
+/** @lends ServerRequestMessage */
+{
+  render: function() {
+    Simple.prototype.render.apply(this, arguments);
+
+    this.element.setAttribute("category", "server");
+    this.element.setAttribute("filter", "serverlog");
+    this.element.classList.add("server-request");
+
+    let body = this.element.querySelector(".message-body");
+    if (!body) {
+      return this;
+    }
+
+    let twisty = this.document.createElementNS(XHTML_NS, "a");
+    twisty.className = "theme-twisty server-request-toggle";
+    twisty.setAttribute("href", "#");
+    twisty.setAttribute("open", "true");
+    body.insertBefore(twisty, body.firstChild);
+
+    twisty.addEventListener("click", event => {
+      event.preventDefault();
+      this.toggle(twisty);
+    }, false);
+
+    return this;
+  },
+
+  toggle: function(twisty) {
+    this.collapsed = !this.collapsed;
+
+    if (this.collapsed) {
+      twisty.removeAttribute("open");
+    } else {
+      twisty.setAttribute("open", "true");
+    }
+
+    for (let row of this.rows) {
+      row.hidden = this.collapsed;
+    }
+  },
+
+  /**
+   * Append rendered server log under this header.
+   */
+  addRow: function(element) {
+    element.setAttribute("server-request", this.request.id);
+    element.hidden = this.collapsed;
+
+    this.rows.push(element);
+  }
+});
+
+// Helpers
+
+/**
+ * Set category and filter attributes of a rendered server message
+ * and put it under the request header (if any).
+ */
+function markServerMessage(message) {
+  let filter = levelToFilter[message.packet.level] || "serverlog";
+
+  message.element.setAttribute("category", "server");
+  message.element.setAttribute("filter", filter);
+
+  if (message.requestMessage) {
+    message.requestMessage.addRow(message.element);
+  }
+}
+
+/**
+ * Returns true if given Console message comes from the server.
+ */
+function isServerMessage(message) {
+  return (message instanceof ServerLogMessage ||
+    message instanceof ServerTableMessage ||
+    message instanceof ServerRequestMessage);
+}
+
+// Exports from this module
+exports.ServerLogMessage = ServerLogMessage;
+exports.ServerTableMessage = ServerTableMessage;
+exports.ServerRequestMessage = ServerRequestMessage;
+exports.isServerMessage = isServerMessage;
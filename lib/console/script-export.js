@@ -0,0 +1,150 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Cc, Ci, Cu } = require("chrome");
+const { Trace, TraceError } = require("../core/trace.js").get(module.id);
+const { Locale } = require("../core/locale.js");
+const { defer } = require("sdk/core/promise");
+const file = require("sdk/io/file");
+
+const { Services } = Cu.import("resource://gre/modules/Services.jsm", {});
+
+/**
+ * This object implements export of scripts created in the
+ * {@CommandEditor} into files, which can be shared with others:
+ * a Greasemonkey-style userscript or a standalone HTML page.
+ */
+var ScriptExport =
+/** @lends ScriptExport */
+{
+  /**
+   * Create a userscript. The '@match' header is generated from
+   * given URL (the page the script has been written for).
+   */
+  toUserScript: function(code, url) {
+    let lines = [
+      "// ==UserScript==",
+      "// @name        " + getScriptName(url),
+      "// @match       " + this.getMatchPattern(url),
+      "// @grant       none",
+      "// ==/UserScript==",
+      "",
+      code
+    ];
+
+    return lines.join("\n") + "\n";
+  },
+
+  /**
+   * Create a minimal HTML page that runs given script.
+   */
+  toHtmlPage: function(code, url) {
+    // Make sure the script can't close the script tag.
+    let script = code.replace(/<\/(script)/gi, "<\\/$1");
+
+    let lines = [
+      "<!DOCTYPE html>",
+      "<html>",
+      "<head>",
+      "  <meta charset=\"utf-8\">",
+      "  <title>" + escapeHTML(getScriptName(url)) + "</title>",
+      "</head>",
+      "<body>",
+      "<script>",
+      script,
+      "</script>",
+      "</body>",
+      "</html>"
+    ];
+
+    return lines.join("\n") + "\n";
+  },
+
+  /**
+   * Returns match pattern for all pages on the same site as given URL,
+   * e.g. 'https://example.com/*' for 'https://example.com/index.html'.
+   */
+  getMatchPattern: function(url) {
+    let result = /^(https?|ftp):\/\/([^\/?#]+)/i.exec(url || "");
+    if (!result) {
+      return (/^file:/i.test(url || "")) ? "file:///*" : "*://*/*";
+    }
+
+    // Match patterns don't support ports and credentials.
+    let host = result[2].replace(/^.*@/, "").replace(/:\d+$/, "");
+    return result[1].toLowerCase() + "://" + host + "/*";
+  },
+
+  /**
+   * Save given text into a file selected by the user.
+   *
+   * @param {Window} win Parent window for the file picker.
+   * @param {String} defaultName Default file name.
+   * @param {String} text Content of the file.
+   * @param {String} [title] Title of the file picker.
+   *
+   * @returns {Promise} Resolved with the file path or null if the user
+   * canceled the picker. Rejected if the file can't be written (the user
+   * is notified by an alert dialog in such case).
+   */
+  saveAs: function(win, defaultName, text, title) {
+    let deferred = defer();
+
+    title = title || Locale.$STR("commandEditor.export.title");
+
+    let fp = Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
+    fp.init(win, title, Ci.nsIFilePicker.modeSave);
+    fp.appendFilters(Ci.nsIFilePicker.filterAll);
+    fp.defaultString = defaultName;
+
+    fp.open(result => {
+      if (result == Ci.nsIFilePicker.returnCancel) {
+        deferred.resolve(null);
+        return;
+      }
+
+      let path = fp.file.path;
+
+      try {
+        let stream = file.open(path, "w");
+        stream.write(text);
+        stream.close();
+      } catch (err) {
+        TraceError.sysout("scriptExport.saveAs; EXCEPTION " + err, err);
+
+        Services.prompt.alert(win, title,
+          Locale.$STRF("commandEditor.export.error", [path, err]));
+
+        deferred.reject(err);
+        return;
+      }
+
+      Trace.sysout("scriptExport.saveAs; " + path);
+
+      deferred.resolve(path);
+    });
+
+    return deferred.promise;
+  }
+};
+
+// Helpers
+
+function getScriptName(url) {
+  let result = /^[a-z]+:\/\/([^\/?#]+)/i.exec(url || "");
+  let host = result ? result[1].replace(/^.*@/, "") : "";
+  return Locale.$STRF("commandEditor.export.scriptName", [host || "page"]);
+}
+
+function escapeHTML(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// Exports from this module
+exports.ScriptExport = ScriptExport;
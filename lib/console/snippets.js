@@ -0,0 +1,90 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Trace, TraceError } = require("../core/trace.js").get(module.id);
+const { storage } = require("sdk/simple-storage");
+
+/**
+ * This object represents a library of named scripts (snippets) created
+ * in the {@CommandEditor}. Snippets are stored in the profile (using
+ * simple-storage) and so, they are available across sessions.
+ *
+ * Every snippet is an object with the following fields:
+ * name {String} Unique name of the snippet.
+ * code {String} The script.
+ * modified {Number} Time of the last modification.
+ */
+var Snippets =
+/** @lends Snippets */
+{
+  /**
+   * Returns list of all snippets sorted by name.
+   */
+  getSnippets: function() {
+    let snippets = (storage.snippets || []).slice();
+    return snippets.sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  getSnippet: function(name) {
+    let snippets = storage.snippets || [];
+    for (let snippet of snippets) {
+      if (snippet.name == name) {
+        return snippet;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Save a snippet. Existing snippet with the same name is overwritten.
+   */
+  save: function(name, code) {
+    Trace.sysout("snippets.save; " + name);
+
+    let snippets = (storage.snippets || []).filter(snippet => {
+      return snippet.name != name;
+    });
+
+    snippets.push({
+      name: name,
+      code: code,
+      modified: Date.now()
+    });
+
+    storage.snippets = snippets;
+  },
+
+  /**
+   * Rename existing snippet. Returns false if the snippet doesn't
+   * exist or the new name is already used.
+   */
+  rename: function(name, newName) {
+    let snippet = this.getSnippet(name);
+    if (!snippet || this.getSnippet(newName)) {
+      return false;
+    }
+
+    Trace.sysout("snippets.rename; " + name + " -> " + newName);
+
+    this.remove(name);
+    this.save(newName, snippet.code);
+
+    return true;
+  },
+
+  remove: function(name) {
+    Trace.sysout("snippets.remove; " + name);
+
+    storage.snippets = (storage.snippets || []).filter(snippet => {
+      return snippet.name != name;
+    });
+  }
+};
+
+// Exports from this module
+exports.Snippets = Snippets;
@@ -0,0 +1,119 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Trace, TraceError } = require("../core/trace.js").get(module.id);
+const { storage } = require("sdk/simple-storage");
+const { prefs } = require("sdk/simple-prefs");
+
+/**
+ * This object represents a list of page load timing baselines.
+ * A baseline is a named result of 'performance.timing' log pinned
+ * by the user. Baselines are stored in the profile (using simple-storage)
+ * per page URL and the latest one is used to compare later logs
+ * for the same URL (see {@PerformanceTiming}).
+ *
+ * Every baseline is an object with the following fields:
+ * name {String} Name of the baseline.
+ * created {Number} Time when the baseline has been created.
+ * phases {Object} Map of phases {id: {start, elapsed}}, where
+ * 'id' is the class name of the bar (e.g. 'dns') and all times
+ * are in ms relative to 'navigationStart'.
+ */
+var TimingBaselines =
+/** @lends TimingBaselines */
+{
+  /**
+   * Returns list of all baselines for given URL sorted by
+   * creation time.
+   */
+  getBaselines: function(url) {
+    let baselines = getStore()[url] || [];
+    return baselines.slice().sort((a, b) => a.created - b.created);
+  },
+
+  /**
+   * Returns the latest baseline for given URL or null if there is none.
+   */
+  getBaseline: function(url) {
+    let baselines = this.getBaselines(url);
+    return baselines.length ? baselines[baselines.length - 1] : null;
+  },
+
+  /**
+   * Save a baseline. Existing baseline with the same name (for the
+   * same URL) is overwritten.
+   */
+  save: function(url, name, phases) {
+    Trace.sysout("timingBaselines.save; " + url + " " + name, phases);
+
+    let store = getStore();
+    let baselines = (store[url] || []).filter(baseline => {
+      return baseline.name != name;
+    });
+
+    baselines.push({
+      name: name,
+      created: Date.now(),
+      phases: phases
+    });
+
+    store[url] = baselines;
+    storage.timingBaselines = store;
+  },
+
+  remove: function(url, name) {
+    Trace.sysout("timingBaselines.remove; " + url + " " + name);
+
+    let store = getStore();
+    let baselines = (store[url] || []).filter(baseline => {
+      return baseline.name != name;
+    });
+
+    if (baselines.length) {
+      store[url] = baselines;
+    } else {
+      delete store[url];
+    }
+
+    storage.timingBaselines = store;
+  },
+
+  /**
+   * Returns the regression threshold in percent. A phase regressed
+   * if it takes longer than its baseline plus the threshold.
+   */
+  getThreshold: function() {
+    let threshold = prefs.performanceTimingThreshold;
+    return (typeof threshold == "number" && threshold >= 0) ? threshold : 20;
+  },
+
+  /**
+   * Compare duration of a phase with its baseline.
+   *
+   * @returns {Object} {delta, regressed} where 'delta' is the
+   * difference in ms.
+   */
+  compare: function(elapsed, baselineElapsed, threshold) {
+    let delta = elapsed - baselineElapsed;
+    let limit = baselineElapsed * (1 + threshold / 100);
+
+    return {
+      delta: delta,
+      regressed: delta > 0 && elapsed > limit
+    };
+  }
+};
+
+// Helpers
+
+function getStore() {
+  return storage.timingBaselines || {};
+}
+
+// Exports from this module
+exports.TimingBaselines = TimingBaselines;
@@ -0,0 +1,133 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Trace, TraceError } = require("../core/trace.js").get(module.id);
+
+// Version of the HAR format used for exported 'pages' entries.
+const harVersion = "1.2";
+
+/**
+ * This object implements export of performance timing results
+ * (computed by 'calculateTiming', see {@PerformanceTiming})
+ * into formats that can be processed by other tools: JSON, CSV
+ * and HAR 'pages' entry.
+ *
+ * All bars are exported as plain objects with the following fields:
+ * phase {String} Type of the bar (e.g. 'dns', 'measure' or 'mark').
+ * name {String} Name of a User Timing entry (empty for other bars).
+ * start {Number} Start time in ms relative to 'navigationStart'.
+ * duration {Number} Duration in ms.
+ */
+var TimingExport =
+/** @lends TimingExport */
+{
+  getBars: function(result) {
+    return result.bars.map(bar => ({
+      phase: bar.className,
+      name: bar.name || "",
+      start: bar.start,
+      duration: bar.elapsed
+    }));
+  },
+
+  toJSON: function(result) {
+    let data = {
+      url: result.url || "",
+      bars: this.getBars(result),
+      timing: result.timing
+    };
+
+    return JSON.stringify(data, null, 2) + "\n";
+  },
+
+  /**
+   * Create CSV with one line per bar. Raw timing values follow
+   * as another table separated by an empty line.
+   */
+  toCSV: function(result) {
+    let lines = [["phase", "name", "start", "duration"].join(",")];
+
+    for (let bar of this.getBars(result)) {
+      lines.push([bar.phase, bar.name, bar.start, bar.duration]
+        .map(escapeCSV).join(","));
+    }
+
+    lines.push("");
+    lines.push(["property", "value"].join(","));
+
+    let timing = result.timing;
+    for (let name of Object.keys(timing)) {
+      if (typeof timing[name] != "number") {
+        continue;
+      }
+      lines.push([name, timing[name]].map(escapeCSV).join(","));
+    }
+
+    return lines.join("\n") + "\n";
+  },
+
+  /**
+   * Create HAR 1.2 'pages' entry. Standard 'pageTimings' fields
+   * (onContentLoad and onLoad) are relative to 'navigationStart'.
+   * Other phases are stored in custom fields (prefixed with '_'),
+   * which are allowed by the spec.
+   */
+  toHAR: function(result) {
+    let t = result.timing;
+
+    let pageTimings = {
+      onContentLoad: getTime(t.domContentLoadedEventStart, t.navigationStart),
+      onLoad: getTime(t.loadEventStart, t.navigationStart)
+    };
+
+    for (let bar of this.getBars(result)) {
+      if (bar.phase == "mark" || bar.phase == "measure") {
+        continue;
+      }
+      pageTimings["_" + bar.phase] = bar.duration;
+    }
+
+    let page = {
+      startedDateTime: new Date(t.navigationStart).toISOString(),
+      id: "page_1",
+      title: result.url || "",
+      pageTimings: pageTimings
+    };
+
+    let data = {
+      log: {
+        version: harVersion,
+        pages: [page]
+      }
+    };
+
+    Trace.sysout("timingExport.toHAR;", data);
+
+    return JSON.stringify(data, null, 2) + "\n";
+  }
+};
+
+// Helpers
+
+/**
+ * HAR uses -1 for timings that aren't available.
+ */
+function getTime(time, start) {
+  return (time && start) ? time - start : -1;
+}
+
+function escapeCSV(value) {
+  let text = String(value);
+  if (/[",\n\r]/.test(text)) {
+    text = "\"" + text.replace(/"/g, "\"\"") + "\"";
+  }
+  return text;
+}
+
+// Exports from this module
+exports.TimingExport = TimingExport;
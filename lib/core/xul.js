@@ -112,7 +112,7 @@ defineTags(
   "box", "vbox", "hbox", "splitter", "toolbar", "radio", "image",
   "menupopup", "textbox", "tabbox", "tabs", "tabpanels", "toolbarbutton",
   "arrowscrollbox", "tabscrollbox", "iframe", "description", "panel",
-  "label"
+  "label", "menulist", "menuitem"
 );
 
 // Exports from this module
@@ -62,6 +62,7 @@ require("./reps/window.js");
 require("./reps/regexp.js");
 require("./reps/stylesheet.js");
 require("./reps/event.js");
+require("./reps/server-object.js");
 
 // SDK changes (should be removed as soon as the API are built-in).
 const MarkupViewPatch = require("./sdk/markup-view-patch.js");
@@ -236,6 +236,32 @@ const NetworkOverlay = Class(
     return buttons;
   },
 
+  // Selection
+
+  /**
+   * Select the last request with given URL and method. Returns true
+   * if the request has been found.
+   */
+  selectRequest: function(url, method) {
+    let win = this.getPanelWindow();
+    let requestsMenu = win.NetMonitorView.RequestsMenu;
+
+    let items = requestsMenu.items.filter(item => {
+      let { attachment } = item;
+      return (attachment.url == url &&
+        (!method || attachment.method == method));
+    });
+
+    let item = items.pop();
+    if (!item) {
+      Trace.sysout("networkOverlay.selectRequest; not found " + url);
+      return false;
+    }
+
+    requestsMenu.selectedItem = item;
+    return true;
+  },
+
   // Commands
 
   onClear: function() {
@@ -10,9 +10,16 @@ const { loadSheet, removeSheet } = require("sdk/stylesheet/utils");
 const { Class } = require("sdk/core/heritage");
 const { gDevTools } = Cu.import("resource:///modules/devtools/gDevTools.jsm", {});
 const { BaseOverlay } = require("../chrome/baseOverlay.js");
+const { Xul } = require("../core/xul.js");
+const { Locale } = require("../core/locale.js");
+const { CommandKeyMap } = require("../console/command-keymap.js");
+const { prefs } = require("sdk/simple-prefs");
 
 const { Services } = Cu.import("resource://gre/modules/Services.jsm", {});
 
+// XUL Builder
+const { VBOX, HBOX, LABEL, TEXTBOX, MENULIST, MENUPOPUP, MENUITEM } = Xul;
+
 /**
  * @overlay This object represents an overlay that is responsible
  * for customizing the Options panel.
@@ -33,6 +40,8 @@ const OptionsOverlay = Class(
     BaseOverlay.prototype.onReady.apply(this, arguments);
 
     Trace.sysout("optionsOverlay.onReady;", options);
+
+    this.createCommandEditorOptions();
   },
 
   destroy: function() {
@@ -47,6 +56,75 @@ const OptionsOverlay = Class(
     Services.prefs.removeObserver("devtools", this, false);
   },
 
+  // Command Editor
+
+  /**
+   * Append Command Editor key bindings into the Options panel.
+   * Changes are stored in preferences immediately (see
+   * {@CommandKeyMap}).
+   */
+  createCommandEditorOptions: function() {
+    let doc = this.getPanelDocument();
+    let parentNode = doc.getElementById("options-panel");
+    if (!parentNode || doc.getElementById("fbCommandEditorOptions")) {
+      return;
+    }
+
+    let preset = CommandKeyMap.getPreset();
+    let presetItems = CommandKeyMap.getPresets().map(name => {
+      let attrs = {
+        "label": Locale.$STR("commandEditor.keyMap." + name),
+        "value": name
+      };
+
+      if (name == preset) {
+        attrs.selected = "true";
+      }
+
+      return MENUITEM(attrs);
+    });
+
+    let rows = CommandKeyMap.commands.map(command => {
+      return HBOX({"align": "center"},
+        LABEL({"class": "fbCommandEditorKeyLabel",
+          "value": Locale.$STR(command.label)}),
+        TEXTBOX({"class": "fbCommandEditorKey", "flex": "1",
+          "pref": command.pref, "value": prefs[command.pref] || ""})
+      );
+    });
+
+    let box =
+      VBOX({"id": "fbCommandEditorOptions", "class": "options-vertical-pane",
+        "flex": "1"},
+        LABEL({"value": Locale.$STR("commandEditor.options.title")}),
+        VBOX.apply(null, [{"class": "options-groupbox"},
+          HBOX({"align": "center"},
+            LABEL({"class": "fbCommandEditorKeyLabel",
+              "value": Locale.$STR("commandEditor.options.keyMap")}),
+            MENULIST({"id": "fbCommandEditorKeyMap"},
+              MENUPOPUP.apply(null, [{}].concat(presetItems))
+            )
+          )
+        ].concat(rows)),
+        LABEL({"class": "fbCommandEditorKeysNote",
+          "value": Locale.$STR("commandEditor.options.note")})
+      );
+
+    let node = box.build(parentNode);
+
+    let menulist = node.querySelector("#fbCommandEditorKeyMap");
+    menulist.addEventListener("command", event => {
+      prefs[CommandKeyMap.presetPref] = menulist.value;
+    }, false);
+
+    for (let textbox of node.querySelectorAll(".fbCommandEditorKey")) {
+      textbox.addEventListener("change", event => {
+        let target = event.target;
+        prefs[target.getAttribute("pref")] = target.value.trim();
+      }, false);
+    }
+  },
+
   // Preferences
 
   observe: function(subject, topic, data) {
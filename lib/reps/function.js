@@ -26,8 +26,18 @@ var Func = domplate(Rep,
       OBJECTLINK("$object|summarizeFunction"),
 
   summarizeFunction: function(grip) {
-    // xxxHonza: display also arguments, but they are not in the preview.
-    return Str.cropString(grip.displayName + "()", 100);
+    return Str.cropString(this.getSignature(grip), 100);
+  },
+
+  /**
+   * Returns function signature, e.g. 'getElementById(elementId)'.
+   * Names of parameters are available in the grip (see 'parameterNames'
+   * field), but might be missing for native functions.
+   */
+  getSignature: function(grip) {
+    let name = grip.displayName || grip.name || "function";
+    let params = grip.parameterNames || [];
+    return name + "(" + params.join(", ") + ")";
   },
 
   copySource: function(fn) {
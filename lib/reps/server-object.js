@@ -0,0 +1,75 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+module.metadata = {
+  "stability": "experimental"
+};
+
+const { Trace, TraceError } = require("../core/trace.js").get(module.id);
+const { Domplate } = require("../core/domplate.js");
+const { Reps } = require("./reps.js");
+const { Grip } = require("./grip.js");
+
+// Domplate
+const { domplate } = Domplate;
+
+// Name of the property used by ChromeLogger server libraries
+// to send the name of the logged object class.
+const classNameProp = "___class_name";
+
+/**
+ * @rep This template is used for objects logged on the server side
+ * (e.g. using ChromeLogger PHP or Python library). Such objects are
+ * sent as plain JSON objects with an extra '___class_name' property
+ * that holds the name of the original server side class. The class
+ * name is displayed as the object title and the extra property is
+ * not displayed.
+ */
+var ServerObject = domplate(Grip,
+/** @lends ServerObject */
+{
+  className: "object",
+
+  getTitle: function(grip) {
+    return this.getClassName(grip) || grip.class;
+  },
+
+  getClassName: function(grip) {
+    let ownProperties = grip.preview ? grip.preview.ownProperties : null;
+    let prop = ownProperties ? ownProperties[classNameProp] : null;
+    return (prop && typeof prop.value == "string") ? prop.value : null;
+  },
+
+  getProps: function(props, object, max, filter) {
+    // Filter out the class name property.
+    let ownProperties = {};
+    for (let name in object.preview.ownProperties) {
+      if (name != classNameProp) {
+        ownProperties[name] = object.preview.ownProperties[name];
+      }
+    }
+
+    let grip = {
+      preview: {
+        ownProperties: ownProperties
+      }
+    };
+
+    return Grip.getProps.call(this, props, grip, max, filter);
+  },
+
+  supportsObject: function(grip, type) {
+    if (!Reps.isGrip(grip)) {
+      return false;
+    }
+
+    return !!this.getClassName(grip);
+  }
+});
+
+// Registration
+Reps.registerRep(ServerObject);
+
+// Exports from this module
+exports.ServerObject = ServerObject;
@@ -0,0 +1,114 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+const { Bookmarklet } = require("../lib/console/bookmarklet.js");
+
+/**
+ * Evaluate given script. The script can use 'out' object to
+ * export results.
+ */
+function evaluate(script) {
+  let out = {};
+  let fn = new Function("out", script);
+  fn(out);
+  return out;
+}
+
+/**
+ * Evaluate given bookmarklet (URL).
+ */
+function evaluateBookmarklet(url) {
+  let prefix = "javascript:";
+  return evaluate(decodeURIComponent(url.substr(prefix.length)));
+}
+
+exports["test Bookmarklet with comments and ASI"] = function(assert) {
+  let script =
+    "// Setup\n" +
+    "var a = 1 // no semicolon\n" +
+    "var b = a + 1\n" +
+    "/* multi\n" +
+    "   line comment */\n" +
+    "var url = 'http://example.com/' // not a comment inside string\n" +
+    "var re = /\\/\\/[a-z]+/g\n" +
+    "out.value = b * 10 / 2\n" +
+    "out.url = url\n" +
+    "out.match = 'x//abc'.match(re)[0]\n" +
+    "out.template = `a // ${b}`";
+
+  let expected = evaluate(script);
+  let bookmarklet = Bookmarklet.create(script);
+
+  assert.ok(bookmarklet.url.startsWith("javascript:"),
+    "The bookmarklet must start with javascript: protocol");
+  assert.ok(!bookmarklet.tooLong, "The bookmarklet must not be too long");
+
+  let result = evaluateBookmarklet(bookmarklet.url);
+  assert.equal(result.value, expected.value, "Results must be the same");
+  assert.equal(result.url, expected.url, "Strings must not be stripped");
+  assert.equal(result.match, expected.match, "RegExps must not be stripped");
+  assert.equal(result.template, expected.template,
+    "Template strings must not be stripped");
+};
+
+exports["test Bookmarklet encoding"] = function(assert) {
+  let script = "out.value = '100% & #hash ?q=1 é'";
+  let bookmarklet = Bookmarklet.create(script);
+
+  let encoded = bookmarklet.url.substr(11);
+  assert.ok(!/[\s&#?\u0080-\uffff]/.test(encoded),
+    "Special characters must be percent-encoded");
+  assert.ok(!/%(?![0-9A-F]{2})/i.test(encoded),
+    "Percent sign must be encoded");
+  assert.equal(evaluateBookmarklet(bookmarklet.url).value,
+    evaluate(script).value, "Results must be the same");
+};
+
+exports["test Bookmarklet IIFE"] = function(assert) {
+  let script = "var leaked = 1; return 2;";
+  let bookmarklet = Bookmarklet.create(script);
+  let code = decodeURIComponent(bookmarklet.url.substr(11));
+
+  assert.ok(/^\(function\(\)\{[\s\S]*\}\)\(\);$/.test(code),
+    "The code must be wrapped in an IIFE");
+};
+
+exports["test Bookmarklet length limit"] = function(assert) {
+  let script = "out.value = '" + new Array(3000).join("a") + "';";
+  let bookmarklet = Bookmarklet.create(script);
+
+  assert.ok(bookmarklet.tooLong, "Long bookmarklet must be detected");
+};
+
+exports["test Minify white spaces"] = function(assert) {
+  let script =
+    "  var a = 1;   \n" +
+    "\n" +
+    "\t\tif (a)   {\n" +
+    "    a++; /* one */ a++;\n" +
+    "  }\n";
+
+  assert.equal(Bookmarklet.minify(script), "var a = 1;\nif (a) {\na++; a++;\n}",
+    "White spaces must be collapsed");
+};
+
+exports["test Minify keeps literals"] = function(assert) {
+  let template = "out.value = `a\n\n    b`";
+  assert.equal(Bookmarklet.minify(template), template,
+    "Template literals must be kept intact");
+  assert.equal(evaluate(Bookmarklet.minify(template)).value, "a\n\n    b",
+    "Template literal value must not change");
+
+  let continued = "out.value = 'x\\\n   y'";
+  assert.equal(Bookmarklet.minify(continued), continued,
+    "Backslash-continued strings must be kept intact");
+  assert.equal(evaluate(Bookmarklet.minify(continued)).value, "x   y",
+    "String value must not change");
+
+  let regExp = "out.value = /a  b/.test('a  b')";
+  assert.equal(Bookmarklet.minify(regExp), regExp,
+    "RegExp literals must be kept intact");
+};
+
+require("sdk/test").run(exports);
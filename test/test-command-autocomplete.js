@@ -0,0 +1,75 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+const { parseCompletion, parseCall, parsePath } = require("../lib/console/command-autocomplete.js");
+
+exports["test Autocomplete nested expression"] = function(assert) {
+  let result = parseCompletion("var a = 1;\ndocument.body.firstChild.");
+  assert.equal(result.object, "document.body.firstChild",
+    "The object expression must be parsed");
+  assert.equal(result.prefix, "", "There must be no prefix");
+
+  result = parseCompletion("foo(document.body.firstChild.ch");
+  assert.equal(result.object, "document.body.firstChild",
+    "The object expression must be parsed within arguments");
+  assert.equal(result.prefix, "ch", "The prefix must be parsed");
+
+  result = parseCompletion("items[0].parentNode.chi");
+  assert.equal(result.object, "items[0].parentNode",
+    "Property accessors must be supported");
+};
+
+exports["test Autocomplete global scope"] = function(assert) {
+  let result = parseCompletion("let x = win");
+  assert.equal(result.object, "this", "Global scope must be used");
+  assert.equal(result.prefix, "win", "The prefix must be parsed");
+
+  assert.ok(!parseCompletion("let x = "), "Nothing to complete");
+};
+
+exports["test Autocomplete ignored input"] = function(assert) {
+  assert.ok(!parseCompletion("foo()."), "Calls must not be evaluated");
+  assert.ok(!parseCompletion("var s = 'document."),
+    "Strings must not be completed");
+  assert.ok(!parseCompletion("// document."),
+    "Comments must not be completed");
+  assert.ok(!parseCompletion("var n = 1."), "Numbers must not be completed");
+};
+
+exports["test Autocomplete side effects"] = function(assert) {
+  assert.ok(!parseCompletion("items[i++]."),
+    "Increments must not be evaluated");
+  assert.ok(!parseCompletion("a[x = 5]."),
+    "Assignments must not be evaluated");
+  assert.ok(!parseCompletion("a[b].c"),
+    "Variable accessors must not be evaluated");
+  assert.ok(!parseCompletion("(a = b).c"),
+    "Parenthesized expressions must not be evaluated");
+  assert.ok(!parseCall("items[i++].push("),
+    "Increments must not be evaluated for hints");
+
+  let result = parseCompletion("items[0][\"first name\"].len");
+  assert.equal(result.object, "items[0][\"first name\"]",
+    "Number and string accessors must be supported");
+  assert.equal(result.prefix, "len", "The prefix must be parsed");
+};
+
+exports["test Autocomplete call hint"] = function(assert) {
+  assert.equal(parseCall("document.getElementById("),
+    "document.getElementById", "The function must be parsed");
+  assert.equal(parseCall("alert(foo(1), [1, 2], "), "alert",
+    "Nested arguments must be skipped");
+  assert.ok(!parseCall("alert(1)"), "Closed calls must be ignored");
+  assert.ok(!parseCall("if ("), "Keywords must be ignored");
+};
+
+exports["test Autocomplete property path"] = function(assert) {
+  assert.deepEqual(parsePath("document.body.firstChild"),
+    ["document", "body", "firstChild"], "Dots must be split");
+  assert.deepEqual(parsePath("items[0][\"first name\"]['it\\'s']"),
+    ["items", "0", "first name", "it's"],
+    "Number and string accessors must be split");
+};
+
+require("sdk/test").run(exports);
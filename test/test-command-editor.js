@@ -7,6 +7,7 @@ const { openToolbox } = require("./common");
 const { openSidePanel, waitForMessage } = require("./console");
 const { Trace, TraceError } = require("../lib/core/trace").get(module.id);
 const { Wrapper } = require("../lib/core/wrapper");
+const { PrettyPrint } = require("../lib/console/pretty-print");
 
 exports["test Command Editor"] = function(assert, done) {
   let config = {
@@ -95,4 +96,81 @@ exports["test Command Editor"] = function(assert, done) {
   }
 };
 
+exports["test Pretty Print error"] = function(assert, done) {
+  let config = {
+    panelId: "webconsole",
+  };
+
+  openToolbox(config).then(({toolbox, cleanUp}) => {
+    openSidePanel(toolbox, "commandEditor").then(({panel, sidePanel}) => {
+      let iframe = sidePanel.querySelector(".iframe-commandEditor");
+      let editorWin = XPCNativeWrapper.unwrap(iframe.contentWindow);
+      let { editor } = editorWin;
+
+      editor.setValue("var a = 1;\nvar b = ;");
+      panel._firebugPanelOverlay.clearConsole();
+
+      let sidePanelDoc = editorWin.parent.document;
+      sidePanelDoc.querySelector("#firebug-commandeditor-prettyprint").click();
+
+      let config = {
+        cssSelector: ".message[category=js][severity=error]"
+      };
+
+      return waitForMessage(toolbox, config).then(result => {
+        assert.equal(result.length, 1, "There must be one error message");
+        assert.ok(result[0].textContent.indexOf("line 2") != -1,
+          "The error must have a line number");
+
+        let lineInfo = editor.lineInfo(1);
+        assert.ok(lineInfo.bgClass.indexOf("error-line") != -1,
+          "The line with the error must be highlighted");
+        assert.equal(editor.getValue(), "var a = 1;\nvar b = ;",
+          "The script must not be changed");
+
+        editor.setValue("");
+        panel._firebugPanelOverlay.clearConsole();
+        panel._firebugPanelOverlay.toggleSidebar();
+      }).then(() => cleanUp(done));
+    });
+  });
+};
+
+exports["test Execute in frame"] = function(assert, done) {
+  let config = {
+    panelId: "webconsole",
+    pageContent: "<html><body><iframe sandbox='allow-scripts' " +
+      "srcdoc='<script>var frameValue = \"in frame\";</script>'>" +
+      "</iframe></body></html>"
+  };
+
+  openToolbox(config).then(({toolbox, cleanUp}) => {
+    let panel = toolbox.getPanel("webconsole");
+    let overlay = panel._firebugPanelOverlay;
+
+    overlay.getEvalTargetFront().listTargets().then(targets => {
+      assert.equal(targets.length, 1, "There must be one frame");
+      assert.equal(targets[0].type, "frame", "The target must be a frame");
+      assert.ok(targets[0].sandboxed, "The frame must be sandboxed");
+
+      overlay.clearConsole();
+      overlay.execute("window.frameValue", element => {
+        let body = element.querySelector(".message-body");
+        assert.equal(body.textContent, "\"in frame\"",
+          "The expression must be evaluated in the frame");
+
+        overlay.clearConsole();
+        cleanUp(done);
+      }, targets[0]);
+    });
+  });
+};
+
+exports["test Pretty Print empty input"] = function(assert, done) {
+  PrettyPrint.run("  ").then(value => {
+    assert.equal(value, "  ", "Empty input must be returned back");
+    done();
+  });
+};
+
 require("sdk/test").run(exports);
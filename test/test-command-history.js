@@ -0,0 +1,62 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+const { CommandHistory, diffLines } = require("../lib/console/command-history");
+
+exports["test Diff identical scripts"] = function(assert) {
+  let lines = diffLines("a\nb", "a\nb");
+  assert.deepEqual(lines, [
+    {type: "same", text: "a"},
+    {type: "same", text: "b"}
+  ], "All lines must be unchanged");
+};
+
+exports["test Diff changed line"] = function(assert) {
+  let lines = diffLines("a\nb\nc", "a\nx\nc");
+  assert.deepEqual(lines, [
+    {type: "same", text: "a"},
+    {type: "removed", text: "b"},
+    {type: "added", text: "x"},
+    {type: "same", text: "c"}
+  ], "Changed line must be removed and added");
+};
+
+exports["test Diff added and removed lines"] = function(assert) {
+  assert.deepEqual(diffLines("a", "a\nb"), [
+    {type: "same", text: "a"},
+    {type: "added", text: "b"}
+  ], "Appended line must be added");
+
+  assert.deepEqual(diffLines("a\nb", "b"), [
+    {type: "removed", text: "a"},
+    {type: "same", text: "b"}
+  ], "First line must be removed");
+};
+
+exports["test Diff line endings"] = function(assert) {
+  let lines = diffLines("a\r\nb", "a\nb");
+  assert.ok(lines.every(line => line.type == "same"),
+    "Windows line endings must be ignored");
+};
+
+exports["test History entries"] = function(assert) {
+  let history = new CommandHistory();
+  let first = history.add("1");
+  let second = history.add("2");
+  history.setResult(second, "Error", true);
+
+  let entries = history.getEntries();
+  assert.equal(entries[0], second, "The most recent entry must be first");
+  assert.equal(entries[1], first, "The oldest entry must be last");
+  assert.ok(second.error, "Error must be stored");
+
+  for (let i = 0; i < 60; i++) {
+    history.add("x");
+  }
+
+  assert.equal(history.getEntries().length, 50,
+    "Number of entries must be limited");
+};
+
+require("sdk/test").run(exports);
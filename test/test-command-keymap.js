@@ -0,0 +1,33 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+const { CommandKeyMap, normalizeKey, parseKeys } = require("../lib/console/command-keymap.js");
+
+exports["test Key normalization"] = function(assert) {
+  assert.equal(normalizeKey("Ctrl-Enter"), "Ctrl-Enter",
+    "Valid key must not be changed");
+  assert.equal(normalizeKey("ctrl-shift-enter"), "Shift-Ctrl-Enter",
+    "Modifiers must be ordered and capitalized");
+  assert.equal(normalizeKey("Alt-Meta-l"), "Cmd-Alt-L",
+    "Aliases must be converted");
+  assert.equal(normalizeKey("Ctrl--"), "Ctrl--", "Minus key must be supported");
+  assert.equal(normalizeKey("Hyper-X"), "", "Unknown modifiers must be ignored");
+};
+
+exports["test Key list parsing"] = function(assert) {
+  let keys = parseKeys("Ctrl-Enter, Cmd-Enter,,");
+  assert.equal(keys.length, 2, "There must be two keys");
+  assert.equal(keys[1], "Cmd-Enter", "The second key must be parsed");
+  assert.equal(parseKeys("").length, 0, "Empty value means no keys");
+};
+
+exports["test Preset scripts"] = function(assert) {
+  let scripts = CommandKeyMap.getPresetScripts("vim");
+  assert.ok(scripts.some(url => url.endsWith("codemirror-keymap/vim.js")),
+    "Vim keymap must be shipped with the extension");
+  assert.equal(CommandKeyMap.getPresetScripts("default").length, 0,
+    "The default keymap is built-in");
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,49 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+const { openToolbox } = require("./common.js");
+const { executeCommand } = require("./command-line.js");
+
+exports["test Console API events"] = function(assert, done) {
+  let config = {
+    panelId: "webconsole",
+  };
+
+  openToolbox(config).then(({toolbox, cleanUp, overlay}) => {
+    let listener = overlay.getConsoleListener();
+    assert.ok(listener, "The console listener must exist");
+
+    listener.once("count", event => {
+      assert.equal(event.type, "count", "The event must be typed");
+      assert.equal(event.level, "count", "The level must be set");
+      assert.equal(event.counter.label, "test", "Counter label must be set");
+      assert.equal(event.counter.count, 1, "Counter value must be set");
+
+      cleanUp(done);
+    });
+
+    executeCommand(toolbox, "console.count('test')");
+  });
+};
+
+exports["test Error events"] = function(assert, done) {
+  let config = {
+    panelId: "webconsole",
+  };
+
+  openToolbox(config).then(({toolbox, cleanUp, overlay}) => {
+    let listener = overlay.getConsoleListener();
+
+    listener.once("error", event => {
+      assert.equal(event.level, "error", "The level must be set");
+      assert.equal(event.arguments.length, 1, "Arguments must be passed");
+
+      cleanUp(done);
+    });
+
+    executeCommand(toolbox, "console.error('test')");
+  });
+};
+
+require("sdk/test").run(exports);
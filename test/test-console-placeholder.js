@@ -0,0 +1,103 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+const { Cu } = require("chrome");
+const { defer } = require("sdk/core/promise");
+const { openToolbox } = require("./common.js");
+const { waitForMessage } = require("./console.js");
+
+const { devtools } = Cu.import("resource://gre/modules/devtools/Loader.jsm", {});
+const { Messages } = devtools["require"]("devtools/webconsole/console-output");
+
+exports["test Placeholder for asynchronous log"] = function(assert, done) {
+  let config = {
+    panelId: "webconsole",
+  };
+
+  openToolbox(config).then(({toolbox, cleanUp, overlay}) => {
+    // The placeholder uses different category than the real message,
+    // so it's possible to wait for the real one.
+    let deferred = defer();
+    overlay.logAsync(deferred.promise, {category: "input", severity: "log"});
+
+    // Wait for the placeholder and resolve the log.
+    let config = {cssSelector: ".consolePlaceholder"};
+    waitForMessage(toolbox, config).then(result => {
+      assert.ok(true, "The placeholder must be displayed");
+
+      let message = new Messages.Simple("async log", {
+        category: "output",
+        severity: "log"
+      });
+
+      deferred.resolve(message);
+
+      // Wait till the placeholder is replaced.
+      let config = {cssSelector: ".message[category=output] .message-body"};
+      waitForMessage(toolbox, config).then(result => {
+        let doc = overlay.getPanelDocument();
+        assert.ok(!doc.querySelector(".consolePlaceholder"),
+          "The placeholder must be removed");
+        assert.ok(doc.body.textContent.indexOf("async log") != -1,
+          "The real message must be displayed");
+        cleanUp(done);
+      });
+    });
+  });
+};
+
+exports["test Placeholder keeps position and filtering"] = function(assert, done) {
+  let config = {
+    panelId: "webconsole",
+  };
+
+  openToolbox(config).then(({toolbox, cleanUp, overlay}) => {
+    let ui = overlay.panel.hud.ui;
+    let doc = overlay.getPanelDocument();
+
+    let log = text => {
+      ui.output.addMessage(new Messages.Simple(text, {
+        category: "input",
+        severity: "log"
+      }));
+    };
+
+    log("first log");
+    let deferred = defer();
+    overlay.logAsync(deferred.promise, {category: "input", severity: "log"});
+    log("last log");
+
+    // All three messages are queued at once, so wait for the placeholder.
+    let config = {cssSelector: ".consolePlaceholder"};
+    waitForMessage(toolbox, config).then(() => {
+      // Hide logs (in memory only, the preference isn't changed).
+      let logFilter = ui.filterPrefs.log;
+      ui.filterPrefs.log = false;
+
+      // Output messages can't be filtered, so use a console log.
+      deferred.resolve(new Messages.Simple("async log", {
+        category: "webdev",
+        severity: "log"
+      }));
+
+      let config = {cssSelector: ".message[category=console] .message-body"};
+      waitForMessage(toolbox, config).then(() => {
+        ui.filterPrefs.log = logFilter;
+
+        let messages = doc.querySelectorAll(".message .message-body");
+        let texts = [...messages].map(node => node.textContent);
+        assert.deepEqual(texts, ["first log", "async log", "last log"],
+          "The real message must keep position of the placeholder");
+
+        let node = doc.querySelector(".message[category=console]");
+        assert.ok(node.classList.contains("filtered-by-type"),
+          "The real message must be filtered");
+
+        cleanUp(done);
+      });
+    });
+  });
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,92 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+const { Firebug } = require("../lib/index.js");
+const { openToolbox } = require("./common.js");
+const { executeCommand } = require("./command-line.js");
+const { getMostRecentBrowserWindow } = require("sdk/window/utils");
+const { prefs } = require("sdk/simple-prefs");
+const { defer } = require("sdk/core/promise");
+const Preferences = require("sdk/preferences/service");
+
+// Strict mode warnings are needed to get a JS warning from the page.
+const strictPref = "javascript.options.strict";
+
+exports["test Error count badge"] = function(assert, done) {
+  let config = {
+    panelId: "webconsole",
+  };
+
+  let showErrorCount = prefs.showErrorCount;
+  let showWarningCount = prefs.showWarningCount;
+
+  prefs.showErrorCount = true;
+  prefs.showWarningCount = false;
+  Preferences.set(strictPref, true);
+
+  openToolbox(config).then(({toolbox, cleanUp}) => {
+    let chrome = Firebug.getChrome(toolbox);
+    let counter = chrome.getErrorCounter();
+
+    let doc = getMostRecentBrowserWindow().document;
+    let button = doc.getElementById("firebug-start-button");
+
+    // Wait for the next change of the counters.
+    let waitForCount = () => {
+      let deferred = defer();
+      chrome.once("errorCount", () => deferred.resolve());
+      return deferred.promise;
+    };
+
+    // Run given code as a page script (not as an evaluation).
+    let runInPage = code => {
+      return executeCommand(toolbox, "(function() {" +
+        "let script = document.createElement('script');" +
+        "script.textContent = " + JSON.stringify(code) + ";" +
+        "document.body.appendChild(script);" +
+      "})()");
+    };
+
+    // Logs are not page errors and must not be counted.
+    executeCommand(toolbox, "console.error('test')").then(() => {
+      let counted = waitForCount();
+      runInPage("({}).undefinedProperty;");
+      return counted;
+    }).then(() => {
+      assert.equal(counter.warningCount, 1, "There must be one warning");
+      assert.equal(counter.errorCount, 0, "There must be no error");
+      assert.ok(!button.hasAttribute("errorcount"),
+        "Warnings must not be displayed unless enabled");
+
+      prefs.showWarningCount = true;
+
+      let counted = waitForCount();
+      runInPage("throw new Error('test');");
+      return counted;
+    }).then(() => {
+      assert.equal(counter.errorCount, 1, "There must be one error");
+      assert.equal(button.getAttribute("errorcount"), "2",
+        "The start button must display errors and warnings");
+
+      // The count is reset when the page navigates.
+      let counted = waitForCount();
+      executeCommand(toolbox, "location.reload()");
+      return counted;
+    }).then(() => {
+      assert.equal(counter.errorCount, 0, "The error count must be reset");
+      assert.equal(counter.warningCount, 0,
+        "The warning count must be reset");
+      assert.ok(!button.hasAttribute("errorcount"),
+        "The start button must not display the error count");
+
+      prefs.showErrorCount = showErrorCount;
+      prefs.showWarningCount = showWarningCount;
+      Preferences.reset(strictPref);
+
+      cleanUp(done);
+    });
+  });
+};
+
+require("sdk/test").run(exports);
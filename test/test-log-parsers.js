@@ -0,0 +1,171 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+const { LogParsers } = require("../lib/console/remote/log-parsers.js");
+const { ChromeLogger } = require("../lib/console/remote/chrome-logger.js");
+const { FirePHP } = require("../lib/console/remote/firephp.js");
+
+// Recorded X-ChromeLogger-Data header (two rows: a formatted string
+// and a warning with an object).
+const chromeLoggerHeader = {
+  name: "X-ChromeLogger-Data",
+  value: "eyJ2ZXJzaW9uIjoiNC4xLjAiLCJjb2x1bW5zIjpbImxvZyIsImJhY2t0cmFjZSIs" +
+    "InR5cGUiXSwicm93cyI6W1tbIkhlbGxvICVzIiwid29ybGQiXSwiL3Nydi9hcHAvc2Vy" +
+    "dmVyLmpzOjI3OjEwIiwiIl0sW1t7Im5hbWUiOiJIb256YSIsIl9fX2NsYXNzX25hbWUi" +
+    "OiJVc2VyIn1dLCIvc3J2L2FwcC9zZXJ2ZXIuanM6Mjg6MTAiLCJ3YXJuIl1dLCJyZXF1" +
+    "ZXN0X3VyaSI6Ii8ifQ=="
+};
+
+// Recorded Wildfire headers (intentionally not sorted). The second
+// message is split into two headers.
+const firePHPHeaders = [{
+  name: "X-Wf-Protocol-1",
+  value: "http://meta.wildfirehq.org/Protocol/JsonStream/0.2"
+}, {
+  name: "X-Wf-1-Structure-1",
+  value: "http://meta.firephp.org/Wildfire/Structure/FirePHP/FirebugConsole/0.1"
+}, {
+  name: "X-Wf-1-1-1-10",
+  value: "66|[{\"Type\":\"GROUP_START\",\"Label\":\"Request\"," +
+    "\"Collapsed\":\"true\"},null]|"
+}, {
+  name: "X-Wf-1-1-1-3",
+  value: "|{\"debug\":true}]|"
+}, {
+  name: "X-Wf-1-1-1-1",
+  value: "61|[{\"Type\":\"LOG\",\"File\":\"/var/www/index.php\",\"Line\":5}," +
+    "\"Hello\"]|"
+}, {
+  name: "X-Wf-1-1-1-2",
+  value: "86|[{\"Type\":\"WARN\",\"Label\":\"Config\",\"File\":" +
+    "\"/var/www/index.php\",\"Line\":7},|\\"
+}, {
+  name: "X-Wf-1-Index",
+  value: "10"
+}];
+
+exports["test ChromeLogger parser"] = function(assert) {
+  assert.ok(ChromeLogger.acceptsHeader("X-ChromeLogger-Data"),
+    "ChromeLogger header must be accepted");
+  assert.ok(!ChromeLogger.acceptsHeader("X-Wf-1-1-1-1"),
+    "FirePHP header must not be accepted");
+
+  let messages = ChromeLogger.parse([chromeLoggerHeader]);
+  assert.equal(messages.length, 2, "There must be two messages");
+
+  assert.equal(messages[0].type, "log", "The default type must be 'log'");
+  assert.equal(messages[0].logs[0], "Hello %s", "Format string must be kept");
+  assert.equal(messages[0].logs[1], "world", "Argument must be kept");
+
+  assert.equal(messages[1].type, "warn", "The type must be 'warn'");
+  assert.equal(messages[1].logs[0].name, "Honza", "Object must be logged");
+};
+
+exports["test ChromeLogger backtrace"] = function(assert) {
+  let frames = ChromeLogger.parseBacktrace("/var/www/index.php : 12");
+  assert.equal(frames.length, 1, "There must be one frame");
+  assert.equal(frames[0].url, "/var/www/index.php", "URL must be set");
+  assert.equal(frames[0].line, 12, "Line must be set");
+
+  frames = ChromeLogger.parseBacktrace([
+    "at handle (/srv/app/server.js:27:10)",
+    "/srv/app/router.js:5:3",
+    "app.rb:10:in `index'",
+    "<anonymous>"
+  ].join("\n"));
+
+  assert.equal(frames.length, 3, "Malformed frame must be ignored");
+  assert.equal(frames[0].functionName, "handle", "Function must be set");
+  assert.equal(frames[0].column, 10, "Column must be set");
+  assert.equal(frames[1].url, "/srv/app/router.js", "URL must be set");
+  assert.equal(frames[2].functionName, "index", "Ruby method must be set");
+
+  assert.equal(ChromeLogger.parseBacktrace(null).length, 0,
+    "Missing backtrace must be accepted");
+  assert.equal(ChromeLogger.parseBacktrace("garbage").length, 0,
+    "Malformed backtrace must be accepted");
+
+  let messages = LogParsers.parse([chromeLoggerHeader]);
+  assert.equal(messages[1].location.url, "/srv/app/server.js",
+    "The first frame must be used as the location");
+  assert.equal(messages[1].location.line, 28,
+    "The first frame line must be used as the location");
+};
+
+exports["test FirePHP parser"] = function(assert) {
+  assert.ok(FirePHP.acceptsHeader("X-Wf-1-1-1-12"),
+    "Message header must be accepted");
+  assert.ok(FirePHP.acceptsHeader("x-wf-1-1-1-12"),
+    "Header names are case insensitive");
+  assert.ok(!FirePHP.acceptsHeader("X-Wf-1-Index"),
+    "Index header must not be accepted");
+
+  let headers = firePHPHeaders.filter(h => FirePHP.acceptsHeader(h.name));
+  let messages = FirePHP.parse(headers);
+  assert.equal(messages.length, 3, "There must be three messages");
+
+  let [log, warn, group] = messages;
+
+  assert.equal(log.type, "log", "The first message must be a log");
+  assert.equal(log.logs[0], "Hello", "The log must have the right value");
+  assert.equal(log.location.url, "/var/www/index.php", "URL must be set");
+  assert.equal(log.location.line, 5, "Line must be set");
+
+  assert.equal(warn.type, "warn", "Split message must be joined");
+  assert.equal(warn.logs[0], "Config", "The label must be the first log");
+  assert.equal(warn.logs[1].debug, true, "The value must be the second log");
+
+  assert.equal(group.type, "groupCollapsed", "Collapsed group must be set");
+  assert.equal(group.logs[0], "Request", "Group title must be set");
+};
+
+exports["test Log parsers registry"] = function(assert) {
+  let parsers = LogParsers.getParsers();
+  assert.ok(parsers.indexOf(ChromeLogger) != -1,
+    "ChromeLogger parser must be registered");
+  assert.ok(parsers.indexOf(FirePHP) != -1,
+    "FirePHP parser must be registered");
+
+  // Custom parser for JSON array of strings in X-Debug-Log header.
+  let customParser = {
+    id: "debugLog",
+    acceptsHeader: name => name == "X-Debug-Log",
+    parse: headers => JSON.parse(headers[0].value).map(text => {
+      return {logs: text};
+    })
+  };
+
+  LogParsers.registerParser(customParser);
+
+  let headers = [chromeLoggerHeader, {
+    name: "X-Debug-Log",
+    value: "[\"first\",\"second\"]"
+  }, {
+    name: "Content-Type",
+    value: "text/html"
+  }];
+
+  let messages = LogParsers.parse(headers);
+
+  LogParsers.unregisterParser(customParser);
+
+  assert.equal(messages.length, 4, "There must be four messages");
+  assert.equal(messages[2].logs[0], "first", "Logs must be normalized");
+  assert.equal(messages[3].type, "log", "Default type must be set");
+
+  // Exceptions thrown by a parser must not break the others.
+  let brokenParser = {
+    id: "broken",
+    acceptsHeader: name => true,
+    parse: headers => { throw new Error("broken"); }
+  };
+
+  LogParsers.registerParser(brokenParser);
+  messages = LogParsers.parse([chromeLoggerHeader]);
+  LogParsers.unregisterParser(brokenParser);
+
+  assert.equal(messages.length, 2, "Broken parser must be ignored");
+};
+
+require("sdk/test").run(exports);
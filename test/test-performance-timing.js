@@ -5,6 +5,10 @@
 const { openToolbox } = require("./common.js");
 const { executeCommand } = require("./command-line.js");
 const { waitForMessage } = require("./console.js");
+const { TimingBaselines } = require("../lib/console/timing-baselines.js");
+const Clipboard = require("sdk/clipboard");
+const { calculateResourceTiming, isResourceTimingList } =
+  require("../lib/console/performance-timing.js");
 
 exports["test Firebug theme"] = function(assert, done) {
   // Configuration flags for toolbox open.
@@ -27,4 +31,180 @@ exports["test Firebug theme"] = function(assert, done) {
   });
 };
 
+exports["test Resource timing waterfall"] = function(assert, done) {
+  let config = {
+    panelId: "webconsole",
+  };
+
+  openToolbox(config).then(({toolbox, cleanUp}) => {
+    // Load a resource (synchronously) to make sure there is at least
+    // one resource timing entry.
+    let expr = "(function() {" +
+      "  let xhr = new XMLHttpRequest();" +
+      "  xhr.open('GET', location.href, false);" +
+      "  xhr.send();" +
+      "  return performance.getEntriesByType('resource');" +
+      "})()";
+
+    executeCommand(toolbox, expr).then(result => {
+      let config = {cssSelector: ".resourceTimingTable .resourceTimingRow"};
+      waitForMessage(toolbox, config).then(result => {
+        assert.ok(result.length > 0, "There must be a row for the resource");
+        assert.ok(result[0].querySelector(".perfTimingBar"),
+          "The row must display timing bars");
+        cleanUp(done);
+      });
+    });
+  });
+};
+
+exports["test User Timing marks and measures"] = function(assert, done) {
+  let config = {
+    panelId: "webconsole",
+  };
+
+  openToolbox(config).then(({toolbox, cleanUp}) => {
+    let expr = "(function() {" +
+      "  performance.mark('bootstrap-start');" +
+      "  performance.mark('bootstrap-end');" +
+      "  performance.measure('bootstrap', 'bootstrap-start', 'bootstrap-end');" +
+      "  return window.performance.timing;" +
+      "})()";
+
+    executeCommand(toolbox, expr).then(result => {
+      let config = {cssSelector: ".perfTimingTable .perfTimingBar.measure"};
+      waitForMessage(toolbox, config).then(result => {
+        let table = result[0].ownerDocument.querySelector(".perfTimingTable");
+        assert.equal(table.querySelectorAll(".perfTimingBar.mark").length, 2,
+          "There must be a bar for every mark");
+        assert.ok(table.querySelector(".perfTimingEvent.userMark"),
+          "Marks must be displayed as vertical lines");
+        cleanUp(done);
+      });
+    });
+  });
+};
+
+exports["test Timing baseline"] = function(assert, done) {
+  let config = {
+    panelId: "webconsole",
+  };
+
+  openToolbox(config).then(({toolbox, cleanUp}) => {
+    // Page load can't take zero time, so the phase regressed.
+    let url = toolbox.target.url;
+    TimingBaselines.save(url, "test", {
+      pageLoad: {start: 0, elapsed: 0}
+    });
+
+    let expr = "window.performance.timing";
+    executeCommand(toolbox, expr).then(result => {
+      let config = {cssSelector: ".perfTimingTable .perfTimingRow.regressed"};
+      waitForMessage(toolbox, config).then(result => {
+        assert.ok(result[0].querySelector(".perfTimingBar.pageLoad"),
+          "Page load phase must be marked as regressed");
+
+        let table = result[0].ownerDocument.querySelector(".perfTimingTable");
+        let info = table.querySelector(".perfTimingBaselineInfo");
+        assert.ok(info.textContent.indexOf("test") != -1,
+          "Name of the baseline must be displayed");
+
+        TimingBaselines.remove(url, "test");
+        assert.equal(TimingBaselines.getBaseline(url), null,
+          "The baseline must be removed");
+
+        cleanUp(done);
+      });
+    });
+  });
+};
+
+exports["test Copy timing as JSON"] = function(assert, done) {
+  let config = {
+    panelId: "webconsole",
+  };
+
+  openToolbox(config).then(({toolbox, cleanUp}) => {
+    let expr = "window.performance.timing";
+    executeCommand(toolbox, expr).then(result => {
+      let config = {cssSelector: ".perfTimingTable"};
+      waitForMessage(toolbox, config).then(result => {
+        let table = result[0].ownerDocument.querySelector(".perfTimingTable");
+        let doc = table.ownerDocument;
+        let win = doc.defaultView;
+
+        // Open the context menu and execute the copy command.
+        let event = new win.MouseEvent("contextmenu", {bubbles: true});
+        table.dispatchEvent(event);
+
+        Clipboard.set("", "text");
+        doc.getElementById("fbPerfTimingCopyJSON").doCommand();
+
+        let data = JSON.parse(Clipboard.get("text"));
+        assert.ok(data.bars.length, "Bars must be copied");
+        assert.ok(data.timing.navigationStart,
+          "Raw timing must be copied");
+
+        doc.getElementById("fbPerfTimingContextMenu").hidePopup();
+        cleanUp(done);
+      });
+    });
+  });
+};
+
+exports["test Resource timing list detection"] = function(assert) {
+  let grip = {
+    class: "Array",
+    preview: {
+      items: [{class: "PerformanceResourceTiming"}]
+    }
+  };
+
+  assert.ok(isResourceTimingList(grip), "Resource timing list must be detected");
+  assert.ok(!isResourceTimingList(null), "Null grip must be ignored");
+  assert.ok(!isResourceTimingList({class: "Array"}),
+    "Grip without preview must be ignored");
+  assert.ok(!isResourceTimingList({class: "Array", preview: {items: []}}),
+    "Empty array must be ignored");
+  assert.ok(!isResourceTimingList({class: "Array",
+    preview: {items: [{class: "Object"}]}}), "Other arrays must be ignored");
+};
+
+exports["test Resource timing calculation"] = function(assert) {
+  let entries = [{
+    name: "http://example.com/script.js",
+    startTime: 0,
+    duration: 100,
+    responseEnd: 100
+  }, {
+    name: "http://example.com/style.css",
+    startTime: 100,
+    duration: 300,
+    requestStart: 250,
+    responseStart: 300,
+    responseEnd: 400
+  }];
+
+  let result = calculateResourceTiming(entries);
+  assert.equal(result.elapsed, 400, "Total time must be the last response end");
+  assert.equal(result.rows.length, 2, "There must be a row per resource");
+  assert.equal(result.rows[0].name, "script.js", "File name must be used");
+  assert.equal(result.rows[0].end, 25, "End must be in percents");
+  assert.equal(result.rows[1].end, 100, "End must be in percents");
+
+  let bar = result.rows[0].bars[0];
+  assert.equal(result.rows[0].bars.length, 1,
+    "Cross-origin resource must have one bar");
+  assert.equal(bar.left, 0, "Bar position must be in percents");
+  assert.equal(bar.width, 25, "Bar width must be in percents");
+
+  assert.ok(result.rows[1].bars.length > 1,
+    "Same-origin resource must have detailed phases");
+  assert.equal(result.ticks.length, 5, "There must be five time ticks");
+  assert.equal(result.ticks[4].left, 100, "The last tick must be at the end");
+
+  result = calculateResourceTiming([{name: "a", startTime: 0, duration: 0}]);
+  assert.equal(result.elapsed, 1, "Zero total time must be avoided");
+};
+
 require("sdk/test").run(exports);
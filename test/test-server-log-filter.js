@@ -0,0 +1,87 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+const { openToolbox } = require("./common.js");
+const { waitForMessage } = require("./console.js");
+const { ServerLogMessage } = require("../lib/console/remote/server-log-message.js");
+
+// Server filters and the level of the log that is filtered by each.
+const filters = {
+  "servererror": "error",
+  "serverwarn": "warn",
+  "serverinfo": "info",
+  "serverlog": "log"
+};
+
+exports["test Server log filters"] = function(assert, done) {
+  let config = {
+    panelId: "webconsole"
+  };
+
+  openToolbox(config).then(({toolbox, cleanUp, overlay}) => {
+    let filter = overlay.remoteLoggingFilter;
+    assert.ok(filter, "The Console panel must have a server log filter");
+
+    // All filters are on by default.
+    for (let pref in filters) {
+      filter.setFilter(pref, true);
+    }
+
+    // Log one message for every filter.
+    let messages = [];
+    for (let pref in filters) {
+      messages.push(new ServerLogMessage({
+        category: "server",
+        level: filters[pref],
+        arguments: ["server " + filters[pref]],
+        styles: [],
+        timeStamp: Date.now()
+      }));
+    }
+
+    let ui = overlay.panel.hud.ui;
+    ui.output.addMessage(...messages);
+
+    let doc = overlay.getPanelDocument();
+    let config = {
+      cssSelector: ".message[category=server]"
+    };
+
+    waitForMessage(toolbox, config).then(result => {
+      assert.equal(result.length, 4, "There must be four server logs");
+
+      for (let pref in filters) {
+        assert.ok(isVisible(doc, pref), pref + " log must be visible");
+      }
+
+      // Switch off filters one by one.
+      for (let pref in filters) {
+        filter.setFilter(pref, false);
+
+        assert.ok(!isVisible(doc, pref), pref + " log must be hidden");
+        assert.ok(!filter.isEnabled(pref), pref + " must be persisted");
+
+        for (let other in filters) {
+          if (other != pref) {
+            assert.ok(isVisible(doc, other), other + " log must be visible");
+          }
+        }
+
+        filter.setFilter(pref, true);
+        assert.ok(isVisible(doc, pref), pref + " log must be visible again");
+      }
+
+      cleanUp(done);
+    });
+  });
+};
+
+// Helpers
+
+function isVisible(doc, pref) {
+  let node = doc.querySelector(".message[filter=" + pref + "]");
+  return node && !node.classList.contains("filtered-by-type");
+}
+
+require("sdk/test").run(exports);
@@ -0,0 +1,110 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+const { storage } = require("sdk/simple-storage");
+const { openToolbox } = require("./common");
+const { openSidePanel } = require("./console");
+const { Snippets } = require("../lib/console/snippets");
+
+exports["test Save and load snippets"] = function(assert) {
+  let original = storage.snippets;
+  storage.snippets = [];
+
+  Snippets.save("b", "2");
+  Snippets.save("a", "1");
+
+  let names = Snippets.getSnippets().map(snippet => snippet.name);
+  assert.deepEqual(names, ["a", "b"], "Snippets must be sorted by name");
+  assert.equal(Snippets.getSnippet("a").code, "1", "Snippet must be loaded");
+  assert.equal(Snippets.getSnippet("c"), null,
+    "Unknown snippet must not be found");
+
+  Snippets.save("a", "3");
+  assert.equal(Snippets.getSnippets().length, 2,
+    "Snippet with the same name must be overwritten");
+  assert.equal(Snippets.getSnippet("a").code, "3",
+    "Overwritten snippet must have the new code");
+
+  storage.snippets = original;
+};
+
+exports["test Rename snippet"] = function(assert) {
+  let original = storage.snippets;
+  storage.snippets = [];
+
+  Snippets.save("a", "1");
+  Snippets.save("b", "2");
+
+  assert.ok(Snippets.rename("a", "c"), "Snippet must be renamed");
+  assert.equal(Snippets.getSnippet("a"), null, "Old name must be removed");
+  assert.equal(Snippets.getSnippet("c").code, "1",
+    "Renamed snippet must keep its code");
+
+  assert.ok(!Snippets.rename("c", "b"),
+    "Snippet must not be renamed to existing name");
+  assert.equal(Snippets.getSnippet("b").code, "2",
+    "Existing snippet must not be overwritten");
+  assert.ok(!Snippets.rename("x", "y"),
+    "Unknown snippet must not be renamed");
+
+  storage.snippets = original;
+};
+
+exports["test Delete snippet"] = function(assert) {
+  let original = storage.snippets;
+  storage.snippets = [];
+
+  Snippets.save("a", "1");
+  Snippets.save("b", "2");
+  Snippets.remove("a");
+
+  let names = Snippets.getSnippets().map(snippet => snippet.name);
+  assert.deepEqual(names, ["b"], "Snippet must be deleted");
+
+  storage.snippets = original;
+};
+
+exports["test Snippet list"] = function(assert, done) {
+  let original = storage.snippets;
+  storage.snippets = [];
+  Snippets.save("hello", "\"hello\";");
+
+  let config = {
+    panelId: "webconsole",
+  };
+
+  openToolbox(config).then(({toolbox, cleanUp}) => {
+    openSidePanel(toolbox, "commandEditor").then(({panel, sidePanel}) => {
+      let iframe = sidePanel.querySelector(".iframe-commandEditor");
+      let editorWin = XPCNativeWrapper.unwrap(iframe.contentWindow);
+      let doc = editorWin.document;
+
+      let button = editorWin.parent.document.querySelector(
+        "#firebug-commandeditor-snippets");
+      button.click();
+
+      let list = doc.querySelector(".snippets");
+      assert.ok(!list.hidden, "The snippet list must be visible");
+
+      let names = doc.querySelectorAll(".snippetName");
+      assert.equal(names.length, 1, "There must be one snippet");
+      assert.equal(names[0].textContent, "hello", "Snippet name must match");
+
+      names[0].click();
+      assert.equal(editorWin.editor.getValue(), "\"hello\";",
+        "Snippet must be loaded into the editor");
+
+      button.click();
+      assert.ok(list.hidden, "The snippet list must be hidden");
+
+      editorWin.editor.setValue("");
+      panel._firebugPanelOverlay.toggleSidebar();
+      storage.snippets = original;
+
+      cleanUp(done);
+    });
+  });
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,55 @@
+/* See license.txt for terms of usage */
+
+"use strict";
+
+const { TimingExport } = require("../lib/console/timing-export.js");
+
+// Result of 'calculateTiming' (only fields used by the export).
+function getResult() {
+  return {
+    url: "http://example.com/",
+    timing: {
+      navigationStart: 1000,
+      domContentLoadedEventStart: 1300,
+      loadEventStart: 1500
+    },
+    bars: [
+      {className: "dns", start: 10, elapsed: 20},
+      {className: "measure", name: "boot, phase", start: 50, elapsed: 100},
+      {className: "mark", name: "ready", mark: true, start: 150, elapsed: 0}
+    ]
+  };
+}
+
+exports["test Export as JSON"] = function(assert) {
+  let data = JSON.parse(TimingExport.toJSON(getResult()));
+  assert.equal(data.bars.length, 3, "All bars must be exported");
+  assert.equal(data.bars[1].name, "boot, phase", "Names must be exported");
+  assert.equal(data.timing.navigationStart, 1000,
+    "Raw timing must be exported");
+};
+
+exports["test Export as CSV"] = function(assert) {
+  let lines = TimingExport.toCSV(getResult()).split("\n");
+  assert.equal(lines[0], "phase,name,start,duration", "Header must be first");
+  assert.equal(lines[1], "dns,,10,20", "Phases must be exported");
+  assert.equal(lines[2], "measure,\"boot, phase\",50,100",
+    "Values must be escaped");
+  assert.ok(lines.indexOf("navigationStart,1000") != -1,
+    "Raw timing must be exported");
+};
+
+exports["test Export as HAR"] = function(assert) {
+  let data = JSON.parse(TimingExport.toHAR(getResult()));
+  let page = data.log.pages[0];
+  assert.equal(data.log.version, "1.2", "HAR version must be 1.2");
+  assert.equal(page.title, "http://example.com/", "Title must be the URL");
+  assert.equal(page.pageTimings.onContentLoad, 300,
+    "onContentLoad must be relative to navigationStart");
+  assert.equal(page.pageTimings.onLoad, 500,
+    "onLoad must be relative to navigationStart");
+  assert.equal(page.pageTimings._dns, 20, "Phases must be custom fields");
+  assert.ok(!("_mark" in page.pageTimings), "Marks must not be exported");
+};
+
+require("sdk/test").run(exports);